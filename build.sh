@@ -15,6 +15,7 @@ rm -r ./dist || echo "No old build to remove"
 # Set version in package.json
 function restore_package_json {
     npm version 0.0.0
+    git checkout -- src/version.ts
     echo "Restored version"
 }
 
@@ -23,6 +24,8 @@ trap restore_package_json EXIT
 
 echo "Updating version number"
 npm version $VERSION_NUMBER
+echo "/** Version of this package, set by \`build.sh\` when building a release. */
+export const VERSION = '$VERSION_NUMBER'" > src/version.ts
 
 
 # Build recordkit-electron
@@ -7,5 +7,5 @@ export default {
       sourcemap: true,
     }
   ],
-  external: ['node:child_process', 'node:fs', 'readline', 'crypto', 'stream']
+  external: ['node:child_process', 'node:fs', 'node:fs/promises', 'node:net', 'node:os', 'node:stream/promises', 'node:zlib', 'readline', 'crypto', 'stream']
 };
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { selectCameraFormat } from './CameraFormats.js';
+import type { SupportedCameraFormat } from './RecordKit.js';
+
+describe('selectCameraFormat', () => {
+  const format = (width: number, height: number, maxFrameRate: number, pixelFormat = '420v'): SupportedCameraFormat =>
+    ({ width, height, maxFrameRate, minFrameRate: 1, frameRateRanges: [{ min: 1, max: maxFrameRate }], pixelFormat });
+  const formats = [
+    format(640, 480, 30),
+    format(1280, 720, 60),
+    format(1920, 1080, 15),
+    format(1920, 1080, 30, 'yuvs'),
+    format(1920, 1080, 30, '420f'),
+    format(1920, 1440, 30),
+    format(3840, 2160, 30),
+  ];
+
+  it('picks the format closest to 1080p by default, then the preferred pixel format', () => {
+    expect(selectCameraFormat(formats)).toEqual(format(1920, 1080, 30, '420f'));
+  });
+
+  it('leaves out formats below the minimum frame rate', () => {
+    expect(selectCameraFormat(formats, { minFrameRate: 60 })).toEqual(format(1280, 720, 60));
+    expect(selectCameraFormat(formats, { minFrameRate: 120 })).toBeUndefined();
+  });
+
+  it('prefers the aspect ratio over closer dimensions', () => {
+    expect(selectCameraFormat(formats, { target: { width: 1920, height: 1440 } })).toEqual(format(1920, 1440, 30));
+    expect(selectCameraFormat(formats, { target: { width: 1920, height: 1440 }, aspectRatio: 16 / 9 })).toEqual(format(1920, 1080, 30, '420f'));
+  });
+
+  it('prefers the larger format when two are equally far off', () => {
+    expect(selectCameraFormat([format(960, 540, 30), format(3840, 2160, 30)])).toEqual(format(3840, 2160, 30));
+  });
+});
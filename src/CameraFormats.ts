@@ -0,0 +1,64 @@
+import type { CameraFormat } from './RecordKit.js'
+import type { Size } from './Recorder.js'
+
+/**
+ * How {@link selectCameraFormat} picks a camera format.
+ *
+ * @group Device Control
+ */
+export interface CameraFormatPolicy {
+  /** Dimensions in pixels to get as close to as possible. Defaults to 1920×1080. */
+  target?: Size
+  /** Only consider formats that can capture at least this many frames per second. */
+  minFrameRate?: number
+  /** Prefer formats with this aspect ratio (width divided by height), such as `16 / 9`, over closer dimensions. */
+  aspectRatio?: number
+  /** Pixel formats in order of preference, to choose between otherwise equal formats. Defaults to biplanar YUV (`420v`, `420f`) first. */
+  pixelFormats?: string[]
+}
+
+/** Two aspect ratios within this fraction of each other are considered the same, e.g. 1366×768 is 16:9. */
+const ASPECT_RATIO_TOLERANCE = 0.01
+
+/**
+ * Picks the camera format that best matches the policy, from the formats returned by `recordkit.getCameraFormats()`.
+ *
+ * Formats below the minimum frame rate are never picked. Of the others, formats with the preferred
+ * aspect ratio come first, then formats closest in size to the target, with larger formats winning a
+ * tie, then formats with the highest frame rate and finally the preferred pixel format.
+ *
+ * @example
+ * ```ts
+ * // Closest to 1080p at 30 fps or more, preferring 16:9
+ * const format = selectCameraFormat(formats, { target: { width: 1920, height: 1080 }, minFrameRate: 30, aspectRatio: 16 / 9 })
+ * ```
+ *
+ * @returns The best format, or `undefined` if no format meets the minimum frame rate.
+ * @group Device Control
+ */
+export function selectCameraFormat<Format extends CameraFormat & { pixelFormat?: string }>(formats: Format[], policy: CameraFormatPolicy = {}): Format | undefined {
+  const target = policy.target ?? { width: 1920, height: 1080 }
+  const targetArea = target.width * target.height
+  const pixelFormats = policy.pixelFormats ?? ['420v', '420f']
+
+  const aspectMismatch = (format: Format) => {
+    if (policy.aspectRatio === undefined) { return 0 }
+    const ratio = format.width / format.height
+    return Math.abs(ratio - policy.aspectRatio) / policy.aspectRatio <= ASPECT_RATIO_TOLERANCE ? 0 : 1
+  }
+  // Ratio of the areas on a log scale, so half and double the target are equally far off.
+  const sizeDistance = (format: Format) => Math.abs(Math.log2(format.width * format.height / targetArea))
+  const pixelFormatRank = (format: Format) => {
+    const index = format.pixelFormat === undefined ? -1 : pixelFormats.indexOf(format.pixelFormat)
+    return index === -1 ? pixelFormats.length : index
+  }
+
+  const candidates = formats.filter((format) => policy.minFrameRate === undefined || format.maxFrameRate >= policy.minFrameRate)
+  return candidates.sort((a, b) =>
+    aspectMismatch(a) - aspectMismatch(b) ||
+    sizeDistance(a) - sizeDistance(b) ||
+    b.width * b.height - a.width * a.height ||
+    b.maxFrameRate - a.maxFrameRate ||
+    pixelFormatRank(a) - pixelFormatRank(b)
+  )[0]
+}
@@ -0,0 +1,54 @@
+import { DeviceWatcher, DevicesChangedEvent, diffDevices } from './DeviceWatcher.js';
+import type { Microphone } from './RecordKit.js';
+
+describe('DeviceWatcher', () => {
+  const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+  const microphone = (id: string, availability: Microphone['availability'] = 'available'): Microphone =>
+    ({ id, name: id, isVirtual: false, model_id: '', manufacturer: '', availability });
+
+  it('diffs devices by id and availability', () => {
+    const builtIn = microphone('built-in');
+    const usb = microphone('usb');
+    expect(diffDevices([builtIn, usb], [builtIn, usb])).toBeUndefined();
+    expect(diffDevices([builtIn], [microphone('built-in', 'lidClosed'), usb])).toEqual({
+      added: [usb],
+      removed: [],
+      availabilityChanged: [{ device: microphone('built-in', 'lidClosed'), previous: 'available' }],
+    });
+    expect(diffDevices([builtIn, usb], [builtIn])).toMatchObject({ added: [], removed: [usb] });
+  });
+
+  function watcher(microphones: () => Microphone[], events: DevicesChangedEvent[]) {
+    const none = async () => [];
+    return new DeviceWatcher(
+      { microphones: async () => microphones(), cameras: none, displays: none, appleDevices: none },
+      { kinds: ['microphones'], interval: 5, debounce: 10 },
+      { changed: (event) => { events.push(event); }, error: () => { } }
+    );
+  }
+
+  it('reports a change once it settled', async () => {
+    let microphones = [microphone('built-in')];
+    const events: DevicesChangedEvent[] = [];
+    const devices = watcher(() => microphones, events);
+    await devices.start();
+    microphones = [microphone('built-in'), microphone('usb')];
+    await wait(50);
+    devices.stop();
+
+    expect(events).toEqual([{ microphones: { added: [microphone('usb')], removed: [], availabilityChanged: [] } }]);
+  });
+
+  it('ignores a device that disconnects and reconnects within the debounce time', async () => {
+    let microphones = [microphone('usb')];
+    const events: DevicesChangedEvent[] = [];
+    const devices = watcher(() => microphones, events);
+    await devices.start();
+    microphones = [];
+    setTimeout(() => { microphones = [microphone('usb')]; }, 8);
+    await wait(40);
+    devices.stop();
+
+    expect(events).toEqual([]);
+  });
+});
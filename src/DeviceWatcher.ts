@@ -0,0 +1,156 @@
+import type { AppleDevice, Camera, Display, Microphone } from './RecordKit.js'
+
+/**
+ * Kinds of devices `recordkit.watchDevices()` can watch.
+ *
+ * @group Discovery
+ */
+export type DeviceKind = 'cameras' | 'microphones' | 'displays' | 'appleDevices'
+
+/**
+ * The type of device of every {@link DeviceKind}.
+ *
+ * @group Discovery
+ */
+export interface DevicesByKind {
+  cameras: Camera
+  microphones: Microphone
+  displays: Display
+  appleDevices: AppleDevice
+}
+
+/**
+ * How the devices of one kind changed between two snapshots, devices are matched by `id`.
+ *
+ * @group Discovery
+ */
+export interface DeviceChange<Device extends { availability: string }> {
+  /** Devices that weren't there before. */
+  added: Device[]
+  /** Devices that are no longer there, as they were last seen. */
+  removed: Device[]
+  /** Devices whose `availability` changed, such as a camera reporting `lidClosed`, with their previous availability. */
+  availabilityChanged: { device: Device, previous: Device['availability'] }[]
+}
+
+/**
+ * Payload of the `devicesChanged` event, only containing the kinds of devices that changed.
+ *
+ * @group Discovery
+ */
+export type DevicesChangedEvent = { [Kind in DeviceKind]?: DeviceChange<DevicesByKind[Kind]> }
+
+/**
+ * Options for `recordkit.watchDevices()`.
+ *
+ * @group Discovery
+ */
+export interface DeviceWatchOptions {
+  /** Kinds of devices to watch. Defaults to all kinds. */
+  kinds?: DeviceKind[]
+  /** Time in milliseconds between checking for changes. Defaults to `2000`. */
+  interval?: number
+  /**
+   * Time in milliseconds to wait after noticing a change before reporting it, so a device that
+   * reconnects or several devices that change at once are reported as one change. Defaults to `500`.
+   */
+  debounce?: number
+}
+
+type Snapshot = { [Kind in DeviceKind]?: DevicesByKind[Kind][] }
+
+const ALL_KINDS: DeviceKind[] = ['cameras', 'microphones', 'displays', 'appleDevices']
+
+/** Compares two lists of devices by `id`, returns `undefined` when nothing changed. */
+export function diffDevices<Device extends { id: string | number, availability: string }>(previous: Device[], current: Device[]): DeviceChange<Device> | undefined {
+  const previousById = new Map(previous.map((device) => [device.id, device]))
+  const currentIds = new Set(current.map((device) => device.id))
+  const change: DeviceChange<Device> = {
+    added: current.filter((device) => !previousById.has(device.id)),
+    removed: previous.filter((device) => !currentIds.has(device.id)),
+    availabilityChanged: current.flatMap((device) => {
+      const before = previousById.get(device.id)
+      return before !== undefined && before.availability !== device.availability ? [{ device, previous: before.availability }] : []
+    }),
+  }
+  const changed = change.added.length > 0 || change.removed.length > 0 || change.availabilityChanged.length > 0
+  return changed ? change : undefined
+}
+
+/**
+ * Periodically takes a snapshot of the devices and reports how they changed since the last report.
+ */
+export class DeviceWatcher {
+  private timer?: ReturnType<typeof setTimeout>
+  private stopped = false
+  private snapshot: Snapshot = {}
+  private readonly kinds: DeviceKind[]
+
+  constructor(
+    private readonly queries: { [Kind in DeviceKind]: () => Promise<DevicesByKind[Kind][]> },
+    private readonly options: DeviceWatchOptions,
+    private readonly handlers: { changed(event: DevicesChangedEvent): void, error(error: unknown): void }
+  ) {
+    this.kinds = options.kinds ?? ALL_KINDS
+  }
+
+  /** Takes the first snapshot to compare against and starts watching. */
+  async start() {
+    this.snapshot = await this.takeSnapshot()
+    this.schedule(this.options.interval ?? 2000)
+  }
+
+  stop() {
+    this.stopped = true
+    clearTimeout(this.timer)
+  }
+
+  private schedule(delay: number) {
+    if (this.stopped) {
+      return
+    }
+    this.timer = setTimeout(() => { this.check() }, delay)
+    // Don't keep the app running just to watch devices.
+    this.timer.unref?.()
+  }
+
+  private async check() {
+    try {
+      if (this.diff(await this.takeSnapshot()) !== undefined) {
+        // Let the devices settle, then report the change as a whole.
+        await new Promise((resolve) => setTimeout(resolve, this.options.debounce ?? 500))
+        const snapshot = await this.takeSnapshot()
+        if (this.stopped) { return }
+
+        const event = this.diff(snapshot)
+        this.snapshot = snapshot
+        if (event !== undefined) {
+          this.handlers.changed(event)
+        }
+      }
+    } catch (error) {
+      if (this.stopped) { return }
+      this.handlers.error(error)
+    }
+    this.schedule(this.options.interval ?? 2000)
+  }
+
+  private diff(snapshot: Snapshot): DevicesChangedEvent | undefined {
+    const event: DevicesChangedEvent = {}
+    for (const kind of this.kinds) {
+      const change = diffDevices<DevicesByKind[typeof kind]>(this.snapshot[kind] ?? [], snapshot[kind] ?? [])
+      if (change !== undefined) {
+        (event as Record<DeviceKind, unknown>)[kind] = change
+      }
+    }
+    return Object.keys(event).length > 0 ? event : undefined
+  }
+
+  private async takeSnapshot(): Promise<Snapshot> {
+    const snapshot: Record<string, unknown> = {}
+    for (const kind of this.kinds) {
+      snapshot[kind] = await this.queries[kind]()
+    }
+    return snapshot as Snapshot
+  }
+}
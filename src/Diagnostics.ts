@@ -0,0 +1,101 @@
+import { existsSync, readFileSync, statSync, writeFileSync } from 'node:fs'
+import { arch, platform, release } from 'node:os'
+import { gzipSync } from 'node:zlib'
+import type { LogEntry } from './Logger.js'
+import type { MetricsSnapshot } from './Metrics.js'
+import type { AuthorizationStatus, Camera, Display, Microphone } from './RecordKit.js'
+import type { TranscriptEntry } from './Transcript.js'
+import { VERSION } from './version.js'
+
+/**
+ * The outcome of one query in a {@link DiagnosticsBundle}: its value, or the error message if it failed.
+ *
+ * @group Diagnostics
+ */
+export type DiagnosticsResult<T> = { value: T } | { error: string }
+
+/**
+ * Contents of the archive written by `recordkit.exportDiagnostics()`, a gzipped JSON file.
+ *
+ * @group Diagnostics
+ */
+export interface DiagnosticsBundle {
+  /** When the bundle was created, as an ISO 8601 string. */
+  createdAt: string
+  versions: {
+    /** Version of the `@nonstrict/recordkit` package. */
+    package: string
+    /** NSRPC protocol version the RecordKit process speaks, if connected. */
+    protocol?: number
+    node: string
+    electron?: string
+    /** Platform, release and architecture of the operating system, e.g. `darwin 23.4.0 arm64`. */
+    os: string
+  }
+  /**
+   * The `recordkit-rpc` binary RecordKit was initialized with, if any. The binary doesn't report its
+   * version, its size and modification time tell builds apart.
+   */
+  rpcBinary?: { path: string, size?: number, modified?: string }
+  displays: DiagnosticsResult<Display[]>
+  cameras: DiagnosticsResult<Camera[]>
+  microphones: DiagnosticsResult<Microphone[]>
+  permissions: {
+    camera: DiagnosticsResult<AuthorizationStatus>
+    microphone: DiagnosticsResult<AuthorizationStatus>
+    screenRecording: DiagnosticsResult<boolean>
+    systemAudioRecording: DiagnosticsResult<boolean>
+    inputMonitoring: DiagnosticsResult<boolean>
+    accessibilityControl: DiagnosticsResult<boolean>
+  }
+  metrics: MetricsSnapshot
+  /** The most recent log entries, from the log file if RecordKit logs to one or else from memory. */
+  logs: LogEntry[]
+  /** The last messages of the transcript, if RecordKit records one. */
+  transcript: TranscriptEntry[]
+}
+
+/** Resolves with the value or error of the promise, never rejects. */
+export async function settle<T>(promise: Promise<T>): Promise<DiagnosticsResult<T>> {
+  try {
+    return { value: await promise }
+  } catch (error) {
+    return { error: error instanceof Error ? error.message : String(error) }
+  }
+}
+
+export function versions(protocol: number | undefined): DiagnosticsBundle['versions'] {
+  return {
+    package: VERSION,
+    protocol,
+    node: process.versions.node,
+    electron: process.versions.electron,
+    os: `${platform()} ${release()} ${arch()}`,
+  }
+}
+
+export function describeBinary(path: string): DiagnosticsBundle['rpcBinary'] {
+  if (!existsSync(path)) {
+    return { path }
+  }
+  const stats = statSync(path)
+  return { path, size: stats.size, modified: stats.mtime.toISOString() }
+}
+
+/** Reads the last `count` entries of a transcript file, skipping lines that aren't valid JSON. */
+export function readTranscriptTail(path: string, count: number): TranscriptEntry[] {
+  if (!existsSync(path)) {
+    return []
+  }
+  return readFileSync(path, 'utf8').split('\n').filter((line) => line !== '').slice(-count).flatMap((line) => {
+    try {
+      return [JSON.parse(line) as TranscriptEntry]
+    } catch {
+      return []
+    }
+  })
+}
+
+export function writeDiagnostics(path: string, bundle: DiagnosticsBundle) {
+  writeFileSync(path, gzipSync(JSON.stringify(bundle, null, 2)))
+}
@@ -1,4 +1,7 @@
-import { RECORDKIT_ERROR_CODE_NUMBERS } from './Errors.js';
+import {
+  RECORDKIT_ERROR_CODE_NUMBERS, NSError, RecordKitError, RPCError, errorFromPayload,
+  isDeviceUnavailableError, isNSError, isPermissionError, isRecordKitError, isRPCError,
+} from './Errors.js';
 
 // These pin the error-code contract that mirrors the Swift `RKError.Code` raw values. The
 // `satisfies Record<RecordKitErrorCode, number>` in Errors.ts guarantees completeness at compile
@@ -36,3 +39,53 @@ describe('RECORDKIT_ERROR_CODE_NUMBERS', () => {
     expect(inRange(RECORDKIT_ERROR_CODE_NUMBERS.windowOperationFailed, -1701, -1800)).toBe(true);
   });
 });
+
+describe('errorFromPayload', () => {
+  const recordKitPayload = { name: 'RecordKitError', code: 'cameraPermissionRequired', codeNumber: -1102, message: 'Allow camera access.', debugDescription: 'TCC denied' } as const;
+
+  it('wraps RecordKit error payloads with their code, context and cause', () => {
+    const error = errorFromPayload(recordKitPayload, { method: 'start', target: 'Recorder_1' });
+    expect(error).toBeInstanceOf(RecordKitError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ code: 'cameraPermissionRequired', codeNumber: -1102, message: 'Allow camera access.', debugDescription: 'TCC denied', method: 'start', target: 'Recorder_1' });
+    expect(error.cause).toBe(recordKitPayload);
+    expect(error.stack).toBeDefined();
+  });
+
+  it('wraps NSError payloads', () => {
+    const error = errorFromPayload({ name: 'NSError', errorDomain: 'NSOSStatusErrorDomain', errorCode: -50, message: 'Failed', debugDescription: 'paramErr' });
+    expect(error).toBeInstanceOf(NSError);
+    expect(error).toMatchObject({ errorDomain: 'NSOSStatusErrorDomain', errorCode: -50 });
+  });
+
+  it('wraps RPC and unnamed protocol error payloads as RPCError', () => {
+    expect(errorFromPayload({ name: 'RPCError', message: 'Recorder was cancelled.', userMessage: 'Recorder was cancelled.', debugDescription: 'cancelled' })).toBeInstanceOf(RPCError);
+    const error = errorFromPayload({ debugDescription: "Perform target 'x' not found.", userMessage: 'Failed to communicate with external process.' });
+    expect(error).toBeInstanceOf(RPCError);
+    expect(error.message).toBe('Failed to communicate with external process.');
+  });
+});
+
+describe('error type guards', () => {
+  const recordKitError = (code: keyof typeof RECORDKIT_ERROR_CODE_NUMBERS) =>
+    errorFromPayload({ name: 'RecordKitError', code, codeNumber: RECORDKIT_ERROR_CODE_NUMBERS[code], message: '', debugDescription: '' });
+
+  it('recognizes permission errors by their code range', () => {
+    expect(isPermissionError(recordKitError('screenRecordingPermissionRequired'))).toBe(true);
+    expect(isPermissionError(recordKitError('cameraUnavailable'))).toBe(false);
+    expect(isPermissionError({ name: 'RecordKitError', codeNumber: -1101 })).toBe(false);
+  });
+
+  it('recognizes device unavailable errors by their code range', () => {
+    expect(isDeviceUnavailableError(recordKitError('cameraUnavailable'))).toBe(true);
+    expect(isDeviceUnavailableError(recordKitError('invalidLicense'))).toBe(false);
+  });
+
+  it('distinguishes the error classes', () => {
+    const error = recordKitError('internalError');
+    expect(isRecordKitError(error)).toBe(true);
+    expect(isNSError(error)).toBe(false);
+    expect(isRPCError(error)).toBe(false);
+    expect(isRPCError(new Error('plain'))).toBe(false);
+  });
+});
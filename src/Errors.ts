@@ -146,3 +146,313 @@ export const RECORDKIT_ERROR_CODE_NUMBERS = {
   fileOperationFailed: -1706,
   windowOperationFailed: -1707,
 } as const satisfies Record<RecordKitErrorCode, number>;
+
+/**
+ * The external `recordkit-rpc` process sent a message that does not conform to the NSRPC protocol,
+ * for example a response without a `status` or with a malformed `error` payload.
+ *
+ * The request the message was meant for (if any) is rejected with this error instead of being
+ * resolved with unvalidated data.
+ *
+ * @group Errors
+ */
+export class RPCProtocolError extends Error {
+  override name = 'RPCProtocolError'
+}
+
+/**
+ * The external `recordkit-rpc` process speaks an NSRPC protocol version this package does not
+ * support. This usually means the `recordkit-rpc` binary and the npm package are from different
+ * RecordKit releases; make sure to ship them together.
+ *
+ * `RecordKit.initialize` rejects with this error when the version handshake fails. When detected
+ * later on, the connection is terminated and every pending and future request fails with it.
+ *
+ * @group Errors
+ */
+export class RPCProtocolVersionError extends RPCProtocolError {
+  override name = 'RPCProtocolVersionError'
+  /** The `nsrpc` version sent by the external process, as received (might not be a number). */
+  readonly remoteVersion: unknown
+  /** Range of supported versions, `min` inclusive and `max` exclusive. */
+  readonly supportedVersions: { min: number, max: number }
+
+  constructor(remoteVersion: unknown, supportedVersions: { min: number, max: number }) {
+    super(`RecordKit: [RPC] Incompatible protocol version ${JSON.stringify(remoteVersion)}, expected a version in ${supportedVersions.min}..<${supportedVersions.max}. Make sure the recordkit-rpc binary matches the @nonstrict/recordkit package version.`)
+    this.remoteVersion = remoteVersion
+    this.supportedVersions = supportedVersions
+  }
+}
+
+/**
+ * A call to the RecordKit process did not get a response in time, see {@link RequestOptions.timeout}.
+ *
+ * @remarks The RecordKit process might still complete the operation after the timeout.
+ *
+ * @group Errors
+ */
+export class RPCTimeoutError extends Error {
+  override name = 'RPCTimeoutError'
+  /** The method that timed out, e.g. `Recorder.getWindows` or `stop`. */
+  readonly method: string
+  /** The timeout that expired, in milliseconds. */
+  readonly timeout: number
+
+  constructor(method: string, timeout: number) {
+    super(`RecordKit: [RPC] Call to '${method}' timed out after ${timeout}ms.`)
+    this.method = method
+    this.timeout = timeout
+  }
+}
+
+/**
+ * The connection to the RecordKit process is gone, usually because the `recordkit-rpc` process exited.
+ *
+ * Every pending call and every later call on objects created before the connection was lost, like a
+ * {@link Recorder}, fails with this error. When RecordKit is initialized with `supervise`, the process
+ * is restarted and new calls on `recordkit` work again once `processRestart` is emitted.
+ *
+ * @group Errors
+ */
+export class RPCConnectionLostError extends Error {
+  override name = 'RPCConnectionLostError'
+
+  /** @param cause - Why the transport closed, e.g. the exit code and signal of the process. */
+  constructor(cause: Error) {
+    super(`RecordKit: [RPC] Lost the connection to the RecordKit process, objects created before that (like recorders) can no longer be used. (${cause.message})`, { cause })
+  }
+}
+
+/**
+ * The payload of a {@link RecordKitError} as sent by the RecordKit process.
+ *
+ * See the [Logging and Error Handling guide](https://recordkit.dev/guides/logging-and-errors#error-handling) for more information.
+ *
+ * @group Errors
+ */
+export interface RecordKitErrorPayload {
+  name: "RecordKitError"
+  /** Error code, used for grouping related errors. See {@link RecordKitErrorCode} for the full list of codes. */
+  code: RecordKitErrorCode
+  /** Error code number. See {@link RECORDKIT_ERROR_CODE_NUMBERS}. */
+  codeNumber: number
+  /** Message describing the problem and possible recovery options, intended to be shown directly to the end-user. */
+  message: string
+  /** Detailed technical description of this error, used in debugging */
+  debugDescription: string
+}
+
+/**
+ * The payload of an {@link NSError} as sent by the RecordKit process.
+ *
+ * Distinguished from {@link RecordKitErrorPayload} by its `name` discriminator.
+ *
+ * @group Errors
+ */
+export interface NSErrorPayload {
+  name: "NSError"
+  /** The `NSError` domain (e.g. `"NSOSStatusErrorDomain"`). */
+  errorDomain: string
+  /** The `NSError` code within {@link NSErrorPayload.errorDomain}. */
+  errorCode: number
+  /** Localized, user-facing description of the error. */
+  message: string
+  /** Detailed technical description of this error, used in debugging. */
+  debugDescription: string
+}
+
+/**
+ * The payload of an {@link RPCError} as sent by the RecordKit process.
+ *
+ * Distinguished from {@link RecordKitErrorPayload} and {@link NSErrorPayload} by its `name` discriminator.
+ *
+ * @group Errors
+ */
+export interface RPCErrorPayload {
+  name: "RPCError"
+  /** Message describing the problem, intended to be shown directly to the end-user. */
+  message: string
+  /** The same message as {@link RPCErrorPayload.message}, kept under its legacy field name. */
+  userMessage: string
+  /** Detailed technical description of this error, used in debugging. */
+  debugDescription: string
+}
+
+/**
+ * Where an error sent by the RecordKit process came from.
+ *
+ * @group Errors
+ */
+export interface RemoteErrorContext {
+  /** The method that failed, e.g. `Recorder.getWindows` or `stop`. */
+  method?: string
+  /** The target the method was called on, e.g. the `Recorder_…` target of a recorder. */
+  target?: string
+}
+
+/**
+ * Errors produced by RecordKit include user-friendly messages suitable for display in your UI.
+ *
+ * The payload sent by the RecordKit process is available as `cause`. See the
+ * [Logging and Error Handling guide](https://recordkit.dev/guides/logging-and-errors#error-handling) for more information.
+ *
+ * @example
+ * ```ts
+ * try {
+ *   await recorder.start()
+ * } catch (error) {
+ *   if (isPermissionError(error)) {
+ *     showPermissionsPrompt(error.message)
+ *   }
+ * }
+ * ```
+ *
+ * @group Errors
+ */
+export class RecordKitError extends Error {
+  override name = 'RecordKitError' as const
+  /** Error code, used for grouping related errors. See {@link RecordKitErrorCode} for the full list of codes. */
+  readonly code: RecordKitErrorCode
+  /** Error code number. See {@link RECORDKIT_ERROR_CODE_NUMBERS}. */
+  readonly codeNumber: number
+  /** Detailed technical description of this error, used in debugging */
+  readonly debugDescription: string
+  /** The method that failed, when the error is the response to a call. */
+  readonly method?: string
+  /** The target the failed method was called on. */
+  readonly target?: string
+
+  constructor(payload: RecordKitErrorPayload, context: RemoteErrorContext = {}) {
+    super(payload.message, { cause: payload })
+    this.code = payload.code
+    this.codeNumber = payload.codeNumber
+    this.debugDescription = payload.debugDescription
+    this.method = context.method
+    this.target = context.target
+  }
+}
+
+/**
+ * An error produced outside RecordKit's own error domain — a raw `NSError` surfaced over the bridge.
+ *
+ * The payload sent by the RecordKit process is available as `cause`.
+ *
+ * @group Errors
+ */
+export class NSError extends Error {
+  override name = 'NSError' as const
+  /** The `NSError` domain (e.g. `"NSOSStatusErrorDomain"`). */
+  readonly errorDomain: string
+  /** The `NSError` code within {@link NSError.errorDomain}. */
+  readonly errorCode: number
+  /** Detailed technical description of this error, used in debugging. */
+  readonly debugDescription: string
+  /** The method that failed, when the error is the response to a call. */
+  readonly method?: string
+  /** The target the failed method was called on. */
+  readonly target?: string
+
+  constructor(payload: NSErrorPayload, context: RemoteErrorContext = {}) {
+    super(payload.message, { cause: payload })
+    this.errorDomain = payload.errorDomain
+    this.errorCode = payload.errorCode
+    this.debugDescription = payload.debugDescription
+    this.method = context.method
+    this.target = context.target
+  }
+}
+
+/**
+ * An error raised by the RPC bridge itself rather than by a RecordKit recording — for example
+ * calling a method on a recorder that was already cancelled, requesting a feature that needs a
+ * newer macOS version, or referencing a window or camera that cannot be found.
+ *
+ * The payload sent by the RecordKit process is available as `cause`.
+ *
+ * @group Errors
+ */
+export class RPCError extends Error {
+  override name = 'RPCError' as const
+  /** The same message as `message`, kept under its legacy field name. */
+  readonly userMessage: string
+  /** Detailed technical description of this error, used in debugging. */
+  readonly debugDescription: string
+  /** The method that failed, when the error is the response to a call. */
+  readonly method?: string
+  /** The target the failed method was called on. */
+  readonly target?: string
+
+  constructor(payload: Partial<RPCErrorPayload>, context: RemoteErrorContext = {}) {
+    const message = payload.message ?? payload.userMessage ?? payload.debugDescription ?? 'Unknown error.'
+    super(message, { cause: payload })
+    this.userMessage = payload.userMessage ?? message
+    this.debugDescription = payload.debugDescription ?? message
+    this.method = context.method
+    this.target = context.target
+  }
+}
+
+/**
+ * Wraps an error payload sent by the RecordKit process in the matching error class. Payloads
+ * without a known `name`, such as the errors of the NSRPC protocol itself, become an {@link RPCError}.
+ *
+ * @internal
+ */
+export function errorFromPayload(payload: unknown, context: RemoteErrorContext = {}): RecordKitError | NSError | RPCError {
+  const error = (typeof payload === 'object' && payload !== null ? payload : { debugDescription: String(payload) }) as Record<string, any>
+  switch (error.name) {
+    case 'RecordKitError':
+      return new RecordKitError(error as RecordKitErrorPayload, context)
+    case 'NSError':
+      return new NSError(error as NSErrorPayload, context)
+    default:
+      return new RPCError(error as Partial<RPCErrorPayload>, context)
+  }
+}
+
+/**
+ * Whether the error is a {@link RecordKitError}.
+ *
+ * @group Errors
+ */
+export function isRecordKitError(error: unknown): error is RecordKitError {
+  return error instanceof RecordKitError
+}
+
+/**
+ * Whether the error is an {@link NSError}.
+ *
+ * @group Errors
+ */
+export function isNSError(error: unknown): error is NSError {
+  return error instanceof NSError
+}
+
+/**
+ * Whether the error is an {@link RPCError}.
+ *
+ * @group Errors
+ */
+export function isRPCError(error: unknown): error is RPCError {
+  return error instanceof RPCError
+}
+
+/**
+ * Whether the error is a {@link RecordKitError} because a permission is required but not granted,
+ * i.e. its code is in the `-110x` range such as `screenRecordingPermissionRequired`.
+ *
+ * @group Errors
+ */
+export function isPermissionError(error: unknown): error is RecordKitError {
+  return isRecordKitError(error) && error.codeNumber <= -1101 && error.codeNumber > -1200
+}
+
+/**
+ * Whether the error is a {@link RecordKitError} because a device or source is unavailable for
+ * recording, i.e. its code is in the `-120x` range such as `cameraUnavailable`.
+ *
+ * @group Errors
+ */
+export function isDeviceUnavailableError(error: unknown): error is RecordKitError {
+  return isRecordKitError(error) && error.codeNumber <= -1201 && error.codeNumber > -1300
+}
@@ -0,0 +1,52 @@
+import {
+  clampCropToDisplay, containsPoint, denormalize, displayAtPoint, displayForBounds, intersection, normalize, toDisplayLocal, toGlobal, union,
+} from './Geometry.js';
+import type { Display } from './RecordKit.js';
+
+describe('Geometry', () => {
+  // A laptop with an external display to its right, positioned a bit higher.
+  const laptop: Display = {
+    id: 1, symbolName: 'laptopcomputer', isMain: true, availability: 'available',
+    frame: { x: 0, y: 0, width: 1440, height: 900 },
+    visibleFrame: { x: 0, y: 25, width: 1440, height: 800 },
+  };
+  const external: Display = {
+    id: 2, symbolName: 'display', isMain: false, availability: 'available',
+    frame: { x: 1440, y: -200, width: 1920, height: 1080 },
+  };
+  const displays = [laptop, external];
+
+  it('intersects and unites rectangles', () => {
+    expect(intersection({ x: 0, y: 0, width: 10, height: 10 }, { x: 5, y: 5, width: 10, height: 10 })).toEqual({ x: 5, y: 5, width: 5, height: 5 });
+    expect(intersection({ x: 0, y: 0, width: 10, height: 10 }, { x: 10, y: 0, width: 10, height: 10 })).toBeUndefined();
+    expect(union(displays.map((display) => display.frame))).toEqual({ x: 0, y: -200, width: 3360, height: 1100 });
+    expect(union([])).toBeUndefined();
+  });
+
+  it('finds the display by point and by largest overlap', () => {
+    expect(displayAtPoint({ x: 1439, y: 0 }, displays)).toBe(laptop);
+    expect(displayAtPoint({ x: 1440, y: -100 }, displays)).toBe(external);
+    expect(displayAtPoint({ x: 100, y: -100 }, displays)).toBeUndefined();
+    expect(containsPoint(laptop.frame, { x: 1440, y: 0 })).toBe(false);
+
+    expect(displayForBounds({ x: 1000, y: 100, width: 800, height: 400 }, displays)).toBe(laptop);
+    expect(displayForBounds({ x: 1200, y: 100, width: 800, height: 400 }, displays)).toBe(external);
+    expect(displayForBounds({ x: -500, y: 0, width: 100, height: 100 }, displays)).toBeUndefined();
+  });
+
+  it('converts between global and display-local coordinates', () => {
+    expect(toDisplayLocal({ x: 1500, y: 0 }, external)).toEqual({ x: 60, y: 200 });
+    expect(toGlobal({ x: 60, y: 200 }, external)).toEqual({ x: 1500, y: 0 });
+  });
+
+  it('clamps a crop to the display or its visible frame', () => {
+    expect(clampCropToDisplay({ x: 1000, y: -50, width: 1000, height: 500 }, laptop)).toEqual({ x: 1000, y: 0, width: 440, height: 450 });
+    expect(clampCropToDisplay({ x: 0, y: 0, width: 100, height: 100 }, laptop, { visible: true })).toEqual({ x: 0, y: 25, width: 100, height: 75 });
+    expect(clampCropToDisplay({ x: 2000, y: 0, width: 100, height: 100 }, laptop)).toBeUndefined();
+  });
+
+  it('converts to and from normalized coordinates', () => {
+    expect(normalize({ x: 2400, y: 340 }, external.frame)).toEqual({ x: 0.5, y: 0.5 });
+    expect(denormalize({ x: 0.5, y: 0.5 }, external.frame)).toEqual({ x: 2400, y: 340 });
+  });
+});
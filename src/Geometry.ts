@@ -0,0 +1,164 @@
+// Geometry helpers for multi-display setups. All rectangles use the top-left coordinate space RecordKit
+// uses for `Display.frame` and `Window.frame`: global coordinates are relative to the top left of the
+// main display, in points, with y growing downwards. Pure functions, safe in the browser.
+
+import type { Bounds, Display } from './RecordKit.js'
+
+/**
+ * A point in the top-left coordinate space, see {@link Bounds}.
+ *
+ * @group Utilities
+ */
+export interface Point {
+  x: number
+  y: number
+}
+
+/**
+ * Whether the point lies within the rectangle, including its top and left edge but not its bottom and right edge.
+ *
+ * @group Utilities
+ */
+export function containsPoint(bounds: Bounds, point: Point): boolean {
+  return point.x >= bounds.x && point.x < bounds.x + bounds.width && point.y >= bounds.y && point.y < bounds.y + bounds.height
+}
+
+/**
+ * The overlapping part of two rectangles, `undefined` if they don't overlap.
+ *
+ * @group Utilities
+ */
+export function intersection(a: Bounds, b: Bounds): Bounds | undefined {
+  const x = Math.max(a.x, b.x)
+  const y = Math.max(a.y, b.y)
+  const width = Math.min(a.x + a.width, b.x + b.width) - x
+  const height = Math.min(a.y + a.height, b.y + b.height) - y
+  return width > 0 && height > 0 ? { x, y, width, height } : undefined
+}
+
+/**
+ * The smallest rectangle containing all rectangles, `undefined` if there are none.
+ *
+ * @example
+ * ```ts
+ * // The area spanned by all displays
+ * const desktop = union(displays.map((display) => display.frame))
+ * ```
+ *
+ * @group Utilities
+ */
+export function union(rectangles: Bounds[]): Bounds | undefined {
+  if (rectangles.length === 0) {
+    return undefined
+  }
+  const left = Math.min(...rectangles.map((bounds) => bounds.x))
+  const top = Math.min(...rectangles.map((bounds) => bounds.y))
+  const right = Math.max(...rectangles.map((bounds) => bounds.x + bounds.width))
+  const bottom = Math.max(...rectangles.map((bounds) => bounds.y + bounds.height))
+  return { x: left, y: top, width: right - left, height: bottom - top }
+}
+
+/**
+ * The area of the overlapping part of two rectangles, `0` if they don't overlap.
+ *
+ * @group Utilities
+ */
+export function overlapArea(a: Bounds, b: Bounds): number {
+  const overlap = intersection(a, b)
+  return overlap === undefined ? 0 : overlap.width * overlap.height
+}
+
+/**
+ * The display that contains the global point, if any.
+ *
+ * @group Utilities
+ */
+export function displayAtPoint(point: Point, displays: Display[]): Display | undefined {
+  return displays.find((display) => containsPoint(display.frame, point))
+}
+
+/**
+ * The display showing the largest part of the rectangle, such as a `Window.frame`, if it's on any.
+ *
+ * @group Utilities
+ */
+export function displayForBounds(bounds: Bounds, displays: Display[]): Display | undefined {
+  let best: Display | undefined
+  let bestArea = 0
+  for (const display of displays) {
+    const area = overlapArea(bounds, display.frame)
+    if (area > bestArea) {
+      best = display
+      bestArea = area
+    }
+  }
+  return best
+}
+
+/**
+ * Converts a global point to a point relative to the top left of the display.
+ *
+ * @group Utilities
+ */
+export function toDisplayLocal(point: Point, display: Display): Point {
+  return { x: point.x - display.frame.x, y: point.y - display.frame.y }
+}
+
+/**
+ * Converts a point relative to the top left of the display to a global point.
+ *
+ * @group Utilities
+ */
+export function toGlobal(point: Point, display: Display): Point {
+  return { x: point.x + display.frame.x, y: point.y + display.frame.y }
+}
+
+/**
+ * Converts a global rectangle, such as a `Window.frame`, to a rectangle relative to the top left of
+ * the display, such as the `crop` of a display recording.
+ *
+ * @group Utilities
+ */
+export function boundsToDisplayLocal(bounds: Bounds, display: Display): Bounds {
+  return { ...bounds, ...toDisplayLocal(bounds, display) }
+}
+
+/**
+ * Clamps a `crop` of a display recording, which is relative to the top left of the display, to the
+ * display. Pass `visible: true` to also keep out the menu bar and Dock using `Display.visibleFrame`.
+ *
+ * @returns The part of the crop on the display, `undefined` if the crop is entirely off the display.
+ * @group Utilities
+ */
+export function clampCropToDisplay(crop: Bounds, display: Display, options: { visible?: boolean } = {}): Bounds | undefined {
+  const area = options.visible && display.visibleFrame ? display.visibleFrame : display.frame
+  return intersection(crop, boundsToDisplayLocal(area, display))
+}
+
+/**
+ * Converts a point to normalized coordinates from `0` to `1` relative to the top left of the area, as
+ * used by the `x` and `y` of input events.
+ *
+ * @param area - The recorded area, in the same coordinate space as the point.
+ * @group Utilities
+ */
+export function normalize(point: Point, area: Bounds): Point {
+  return { x: (point.x - area.x) / area.width, y: (point.y - area.y) / area.height }
+}
+
+/**
+ * Converts normalized coordinates from `0` to `1`, such as the `x` and `y` of input events, to a
+ * point in the coordinate space of the area.
+ *
+ * @example
+ * ```ts
+ * // Global position of a click in a recording of the whole display
+ * const point = denormalize(mouseEvent, display.frame)
+ * ```
+ *
+ * @param area - The recorded area, for example the display frame for a display recording.
+ * @group Utilities
+ */
+export function denormalize(point: Point, area: Bounds): Point {
+  return { x: area.x + point.x * area.width, y: area.y + point.y * area.height }
+}
@@ -0,0 +1,88 @@
+import { Heartbeat } from './Heartbeat.js';
+
+describe('Heartbeat', () => {
+  const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  function recordingHandlers() {
+    const events: string[] = [];
+    return {
+      events,
+      handlers: {
+        heartbeat: () => { events.push('heartbeat'); },
+        unresponsive: (missed: number) => { events.push(`unresponsive ${missed}`); },
+        recovered: () => { events.push('recovered'); },
+      },
+    };
+  }
+
+  it('reports the latency of every answered ping', async () => {
+    const latencies: number[] = [];
+    const heartbeat = new Heartbeat(async () => 12, { interval: 5 }, {
+      heartbeat: (latency) => { latencies.push(latency); },
+      unresponsive: () => { },
+      recovered: () => { },
+    });
+    heartbeat.start();
+    await wait(30);
+    heartbeat.stop();
+    expect(latencies.length).toBeGreaterThan(1);
+    expect(latencies.every((latency) => latency === 12)).toBe(true);
+  });
+
+  it('reports unresponsive once after the miss threshold, and recovered when answered again', async () => {
+    let answering = false;
+    const { events, handlers } = recordingHandlers();
+    const heartbeat = new Heartbeat(async () => {
+      if (!answering) throw new Error('timed out');
+      return 1;
+    }, { interval: 2, missThreshold: 2 }, handlers);
+    heartbeat.start();
+    await wait(40);
+    expect(events).toEqual(['unresponsive 2']);
+
+    answering = true;
+    await wait(20);
+    heartbeat.stop();
+    expect(events.slice(0, 3)).toEqual(['unresponsive 2', 'recovered', 'heartbeat']);
+  });
+
+  it('keeps beating when a handler throws', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
+    let answering = true;
+    const events: string[] = [];
+    const heartbeat = new Heartbeat(async () => {
+      if (!answering) throw new Error('timed out');
+      return 1;
+    }, { interval: 2, missThreshold: 2 }, {
+      heartbeat: () => { events.push('heartbeat'); throw new Error('heartbeat listener failed'); },
+      unresponsive: () => { events.push('unresponsive'); throw new Error('unresponsive listener failed'); },
+      recovered: () => { events.push('recovered'); throw new Error('recovered listener failed'); },
+    });
+    heartbeat.start();
+    await wait(20);
+    // A throwing heartbeat handler doesn't count as a missed ping.
+    expect(events.length).toBeGreaterThan(1);
+    expect(events.every((event) => event === 'heartbeat')).toBe(true);
+
+    answering = false;
+    await wait(30);
+    expect(events.filter((event) => event === 'unresponsive')).toHaveLength(1);
+
+    answering = true;
+    await wait(20);
+    heartbeat.stop();
+    expect(events).toContain('recovered');
+    expect(events.at(-1)).toBe('heartbeat');
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it('passes the timeout to the ping, defaulting to the interval', async () => {
+    const timeouts: number[] = [];
+    const heartbeat = new Heartbeat(async (timeout) => { timeouts.push(timeout); return 0; }, { interval: 5 }, recordingHandlers().handlers);
+    heartbeat.start();
+    await wait(15);
+    heartbeat.stop();
+    expect(timeouts[0]).toBe(5);
+  });
+});
@@ -0,0 +1,87 @@
+import { log } from './Logger.js'
+import type { HeartbeatOptions } from './RecordKit.js'
+
+export interface HeartbeatHandlers {
+  /** Called after every answered ping with its round-trip time in milliseconds. */
+  heartbeat(latency: number): void
+  /** Called once the number of consecutive missed pings reaches the miss threshold. */
+  unresponsive(missed: number): void
+  /** Called when a ping is answered again after being unresponsive. */
+  recovered(latency: number, unresponsiveFor: number): void
+}
+
+/**
+ * Periodically pings the RecordKit process and reports when it stops or starts answering again, to
+ * detect a process that is alive but wedged.
+ */
+export class Heartbeat {
+  private timer?: ReturnType<typeof setTimeout>
+  private stopped = false
+  private missed = 0
+  private unresponsiveSince?: number
+
+  constructor(
+    private readonly ping: (timeout: number) => Promise<number>,
+    private readonly options: HeartbeatOptions,
+    private readonly handlers: HeartbeatHandlers
+  ) { }
+
+  start() {
+    this.schedule()
+  }
+
+  stop() {
+    this.stopped = true
+    clearTimeout(this.timer)
+  }
+
+  private schedule() {
+    if (this.stopped) {
+      return
+    }
+    this.timer = setTimeout(() => { this.beat() }, this.options.interval ?? 5000)
+    // Don't keep the app running just to ping.
+    this.timer.unref?.()
+  }
+
+  private async beat() {
+    const interval = this.options.interval ?? 5000
+    const missThreshold = this.options.missThreshold ?? 3
+    try {
+      let latency: number | undefined
+      try {
+        latency = await this.ping(this.options.timeout ?? interval)
+      } catch {
+        latency = undefined
+      }
+      if (this.stopped) { return }
+
+      // The handlers are called outside the ping's try, so a throwing handler doesn't count as a missed ping.
+      if (latency !== undefined) {
+        const unresponsiveSince = this.unresponsiveSince
+        this.missed = 0
+        this.unresponsiveSince = undefined
+        if (unresponsiveSince !== undefined) {
+          this.notify('recovered', () => this.handlers.recovered(latency, Date.now() - unresponsiveSince))
+        }
+        this.notify('heartbeat', () => this.handlers.heartbeat(latency))
+      } else {
+        this.missed += 1
+        if (this.missed === missThreshold) {
+          this.unresponsiveSince = Date.now()
+          this.notify('unresponsive', () => this.handlers.unresponsive(this.missed))
+        }
+      }
+    } finally {
+      this.schedule()
+    }
+  }
+
+  private notify(event: keyof HeartbeatHandlers, call: () => void) {
+    try {
+      call()
+    } catch (error) {
+      log.error('RPC', `Heartbeat '${event}' handler failed.`, error)
+    }
+  }
+}
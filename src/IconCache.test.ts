@@ -0,0 +1,79 @@
+import { IconCache } from './IconCache.js';
+import { RPCError } from './Errors.js';
+import type { RunningApplication } from './RecordKit.js';
+
+describe('IconCache', () => {
+  const app = (id: number, bundle_identifier?: string): RunningApplication => ({ id, name: `App ${id}`, bundle_identifier, availability: 'available' });
+  const icon = (id: number) => `data:image/png;base64,${id}`;
+
+  function source(options: { batchSupported?: boolean } = {}) {
+    const calls: string[] = [];
+    return {
+      calls,
+      source: {
+        batch: async (ids: number[]) => {
+          calls.push(`batch ${ids.join(',')}`);
+          if (options.batchSupported === false) {
+            throw new RPCError({ debugDescription: 'Unknown action getApplicationIcons', userMessage: 'Unknown action' });
+          }
+          return Object.fromEntries(ids.map((id) => [id, icon(id)]));
+        },
+        single: async (id: number) => {
+          calls.push(`single ${id}`);
+          return icon(id);
+        },
+      },
+    };
+  }
+
+  it('fetches missing icons in one batch and caches them per process', async () => {
+    const { calls, source: iconSource } = source();
+    const cache = new IconCache(iconSource);
+
+    const icons = await cache.getMany([app(1, 'com.apple.Safari'), app(2), 3]);
+    expect([...icons]).toEqual([[1, icon(1)], [2, icon(2)], [3, icon(3)]]);
+    await cache.getMany([1, app(3), app(4)]);
+    await expect(cache.get(app(2))).resolves.toBe(icon(2));
+    await expect(cache.get(app(5, 'com.apple.Safari'))).resolves.toBe(icon(5));
+
+    expect(calls).toEqual(['batch 1,2,3', 'single 4', 'single 5']);
+  });
+
+  it('falls back to one call per icon when batches are unsupported', async () => {
+    const { calls, source: iconSource } = source({ batchSupported: false });
+    const cache = new IconCache(iconSource);
+    await cache.getMany([1, 2]);
+    await cache.getMany([3, 4]);
+    expect(calls).toEqual(['batch 1,2', 'single 1', 'single 2', 'single 3', 'single 4']);
+  });
+
+  it('refetches after the time to live, invalidation and when the application quit', async () => {
+    const { calls, source: iconSource } = source();
+    const cache = new IconCache(iconSource);
+    await cache.get(1);
+    cache.invalidate(1);
+    await cache.get(1);
+    cache.prune([{ ...app(1), availability: 'notRunning' }]);
+    await cache.get(1);
+    expect(calls).toEqual(['single 1', 'single 1', 'single 1']);
+
+    const expiring = new IconCache(iconSource);
+    expiring.ttl = -1;
+    await expiring.get(2);
+    await expiring.get(2);
+    expect(calls.slice(3)).toEqual(['single 2', 'single 2']);
+  });
+
+  it("doesn't cache failures", async () => {
+    const { calls, source: iconSource } = source();
+    let fail = true;
+    const cache = new IconCache({ ...iconSource, single: async (id) => {
+      if (fail) throw new Error('No such application');
+      return iconSource.single(id);
+    } });
+    await expect(cache.get(1)).rejects.toThrow('No such application');
+    fail = false;
+    await expect(cache.get(1)).resolves.toBe(icon(1));
+    expect(calls).toEqual(['single 1']);
+  });
+});
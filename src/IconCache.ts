@@ -0,0 +1,120 @@
+import { RPCError } from './Errors.js'
+import type { RunningApplication } from './RecordKit.js'
+
+interface CacheEntry {
+  icon: Promise<string>
+  expiresAt: number
+}
+
+/** Fetches icons from the RecordKit process. */
+export interface IconSource {
+  /** Fetches the icons of several applications in one call, keyed by process ID. */
+  batch(processIds: number[]): Promise<Record<string, string>>
+  single(processId: number): Promise<string>
+}
+
+/**
+ * Caches application icons as `data:image/png;base64,...` URLs, available as `recordkit.icons`.
+ *
+ * Icons are cached per process for the configured time to live, in the size the RecordKit process
+ * returns them in. Icons of applications that quit are forgotten whenever
+ * `recordkit.getRunningApplications()` no longer lists them.
+ *
+ * The URLs can be used as the `src` of an `<img>` tag, or turned into an Electron image with
+ * `nativeImage.createFromDataURL(icon)`.
+ *
+ * @example
+ * ```ts
+ * const applications = await recordkit.getRunningApplications()
+ * const icons = await recordkit.icons.getMany(applications)
+ * const rows = applications.map((application) => ({ name: application.name, icon: icons.get(application.id) }))
+ * ```
+ *
+ * @group Device Control
+ */
+export class IconCache {
+  /** Cached icons keyed by process ID. */
+  private readonly entries = new Map<number, CacheEntry>()
+  /** Set once the RecordKit process turned out not to support fetching icons in one call. */
+  private batchUnsupported = false
+
+  /** Time in milliseconds an icon stays cached. Defaults to 10 minutes. */
+  ttl = 10 * 60 * 1000
+
+  /** @ignore */
+  constructor(private readonly source: IconSource) { }
+
+  /** The icon of the application, from the cache if available. */
+  async get(application: RunningApplication | number): Promise<string> {
+    const icons = await this.getMany([application])
+    return icons.get(processIdOf(application))!
+  }
+
+  /**
+   * The icons of the applications keyed by process ID, fetching all icons that aren't cached in a
+   * single call to the RecordKit process.
+   */
+  async getMany(applications: (RunningApplication | number)[]): Promise<Map<number, string>> {
+    const now = Date.now()
+    const processIds = applications.map(processIdOf)
+    const missing = new Set<number>()
+    for (const processId of processIds) {
+      const entry = this.entries.get(processId)
+      if (entry === undefined || entry.expiresAt <= now) {
+        missing.add(processId)
+      }
+    }
+
+    if (missing.size > 0) {
+      const fetched = this.fetch([...missing])
+      for (const processId of missing) {
+        const icon = fetched.then((icons) => {
+          const icon = icons[processId]
+          if (icon === undefined) { throw new Error(`RecordKit: No icon for application ${processId}.`) }
+          return icon
+        })
+        // Don't cache failures, the next call tries again.
+        icon.catch(() => { if (this.entries.get(processId)?.icon === icon) { this.entries.delete(processId) } })
+        this.entries.set(processId, { icon, expiresAt: now + this.ttl })
+      }
+    }
+
+    const pending = processIds.map((processId) => [processId, this.entries.get(processId)!.icon] as const)
+    return new Map(await Promise.all(pending.map(async ([processId, icon]) => [processId, await icon] as const)))
+  }
+
+  /** Forgets the cached icons of the application, or all icons when no application is given. */
+  invalidate(application?: RunningApplication | number): void {
+    if (application === undefined) {
+      this.entries.clear()
+      return
+    }
+    this.entries.delete(processIdOf(application))
+  }
+
+  /** Forgets the icons of applications that are no longer running. */
+  prune(running: RunningApplication[]): void {
+    const runningIds = new Set(running.filter((application) => application.availability === 'available').map((application) => application.id))
+    for (const processId of this.entries.keys()) {
+      if (!runningIds.has(processId)) { this.entries.delete(processId) }
+    }
+  }
+
+  private async fetch(processIds: number[]): Promise<Record<string, string>> {
+    if (processIds.length > 1 && !this.batchUnsupported) {
+      try {
+        return await this.source.batch(processIds)
+      } catch (error) {
+        // Binaries that predate fetching icons in one call reject the unknown action.
+        if (!(error instanceof RPCError)) { throw error }
+        this.batchUnsupported = true
+      }
+    }
+    const icons = await Promise.all(processIds.map((processId) => this.source.single(processId)))
+    return Object.fromEntries(processIds.map((processId, index) => [processId, icons[index]]))
+  }
+}
+
+function processIdOf(application: RunningApplication | number): number {
+  return typeof application === 'number' ? application : application.id
+}
@@ -1,56 +1,194 @@
-import { ChildProcess, spawn } from 'node:child_process';
-import * as readline from 'readline';
 import { NSRPC } from "./NonstrictRPC.js";
+import { RPCConnectionLostError } from "./Errors.js";
+import { RecordingTransport } from "./Transcript.js";
+import { RPCTransport, StdioTransport } from "./Transport.js";
+import { Heartbeat, HeartbeatHandlers } from "./Heartbeat.js";
+import { log, logStderr } from "./Logger.js";
+import { RPCMetrics, RPCTracer } from "./Metrics.js";
+import type { HeartbeatOptions, SupervisorOptions } from "./RecordKit.js";
+
+/** A connection that stayed up this long resets the restart backoff. */
+const STABLE_CONNECTION_TIME = 60_000;
+
+export interface ConnectOptions {
+  logMessages?: boolean;
+  transcriptPath?: string;
+  defaultTimeout?: number;
+  /** Restart the connection when it is lost, requires a function creating the transport. */
+  supervise?: SupervisorOptions;
+  /** Called on every new connection after the handshake, before it is used. */
+  setUp?: (nsrpc: NSRPC) => Promise<void>;
+  /** Called when an established connection is lost. */
+  onExit?: (error: RPCConnectionLostError) => void;
+  /** Called when the supervisor restored the connection. */
+  onRestart?: (attempt: number) => void;
+  /** Creates spans for every request and closure call. */
+  tracer?: RPCTracer;
+  /** Periodically ping the external process, reporting to the handlers. */
+  heartbeat?: HeartbeatOptions & { handlers: HeartbeatHandlers };
+}
 
 export class IpcRecordKit {
-  private childProcess?: ChildProcess;
-  readonly nsrpc: NSRPC;
+  private transport?: RPCTransport;
+  private createTransport?: () => RPCTransport;
+  private options: ConnectOptions = {};
+  private restarts = 0;
+  /** Incremented by every `connect()` and `close()`, so restarts and connections of an earlier one can tell they're stale. */
+  private generation = 0;
+  /** Whether a connection of the current initialization wrote to the transcript, later ones append to it. */
+  private transcriptStarted = false;
+  private currentNsrpc: NSRPC;
+  private heartbeat?: Heartbeat;
+  /** Metrics of all connections, kept when the supervisor restarts the process. */
+  readonly metrics = new RPCMetrics();
 
   constructor() {
-    this.nsrpc = new NSRPC((message) => this.write(message));
+    this.currentNsrpc = new NSRPC(() => { throw new Error('RecordKit: [RPC] !! Not initialized.') });
   }
 
-  async initialize(recordKitRpcPath: string, logMessages: boolean = false): Promise<void> {
-    if (this.childProcess !== undefined) { throw new Error('RecordKit: [RPC] Already initialized.') }
+  /** The RPC connection for new calls, replaced when the supervisor restarts the process. */
+  get nsrpc(): NSRPC {
+    return this.currentNsrpc;
+  }
 
-    this.nsrpc.logMessages = logMessages;
-    this.childProcess = await new Promise<ChildProcess>((resolve, reject) => {
-      const childProcess = spawn(recordKitRpcPath, { stdio: ['pipe', 'pipe', logMessages ? 'pipe' : 'ignore'] })
-      childProcess.on('close', (code, signal) => { console.error(`RecordKit: [RPC] Closed with code ${code} and signal ${signal}`) })
-      childProcess.on('error', (error) => { reject(error) })
-      childProcess.on('exit', (code, signal) => { console.error(`RecordKit: [RPC] Exited with code ${code} and signal ${signal}`) })
-      childProcess.on('spawn', () => { resolve(childProcess) })
+  async initialize(recordKitRpcPath: string, options: ConnectOptions = {}): Promise<void> {
+    const createTransport = () => new StdioTransport(recordKitRpcPath, {
+      stderr: (line) => { logStderr(line, options.logMessages ?? false) }
     })
+    await this.connect(createTransport, options)
+  }
+
+  async connect(transport: RPCTransport | (() => RPCTransport), options: ConnectOptions = {}): Promise<void> {
+    if (this.createTransport !== undefined) { throw new Error('RecordKit: [RPC] Already initialized.') }
+    if (options.heartbeat?.restart && !options.supervise) {
+      throw new Error('RecordKit: [RPC] Restarting an unresponsive process requires supervising it.')
+    }
+    if (options.supervise && typeof transport !== 'function') {
+      throw new Error('RecordKit: [RPC] Supervising requires `transport` to be a function that creates a new transport for every restart.')
+    }
+
+    this.createTransport = typeof transport === 'function' ? transport : () => transport
+    this.options = options
+    this.transcriptStarted = false
+    this.metrics.tracer = options.tracer
+    const generation = ++this.generation
+    try {
+      await this.open(generation)
+    } catch (error) {
+      if (this.generation !== generation) { throw error }
+      // Leave nothing behind, so initializing can be retried, e.g. after installing a compatible binary.
+      this.createTransport = undefined
+      this.options = {}
+      this.metrics.tracer = undefined
+      throw error
+    }
+  }
+
+  /**
+   * Closes the connection without restarting it, after which RecordKit can be initialized again.
+   */
+  async close(): Promise<void> {
+    const transport = this.transport
+    this.transport = undefined
+    this.createTransport = undefined
+    this.restarts = 0
+    this.generation += 1
+    this.heartbeat?.stop()
+    this.currentNsrpc.terminate(new Error('RecordKit: [RPC] RecordKit is shut down.'))
+    await transport?.close()
+  }
+
+  private async open(generation: number): Promise<void> {
+    let transport = this.createTransport!()
+    if (this.options.transcriptPath !== undefined) {
+      // Append after a restart, the transcript of the lost connection is what explains the restart.
+      transport = new RecordingTransport(transport, this.options.transcriptPath, { append: this.transcriptStarted })
+      this.transcriptStarted = true
+    }
 
-    this.childProcess.on('close', (code, signal) => {
+    const nsrpc = new NSRPC((message) => transport.send(message));
+    nsrpc.logMessages = this.options.logMessages ?? false;
+    nsrpc.defaultTimeout = this.options.defaultTimeout;
+    nsrpc.metrics = this.metrics;
+    let connectedAt: number | undefined
+    await transport.start({
+      message: (data) => nsrpc.receive(data),
       // No response can arrive anymore; fail all in-flight and future requests instead of letting
       // them hang forever.
-      this.nsrpc.terminate(new Error(`RecordKit: [RPC] Process is gone (closed with code ${code} and signal ${signal}).`));
-    })
-    this.childProcess.stdin?.on('error', (error) => {
-      // Without an error listener, a failed write to a dead process would crash Node with an
-      // unhandled 'error' event. The 'close' handler above already fails all requests.
-      console.error(`RecordKit: [RPC] !! Failed to write to RPC process: ${error}`)
+      close: (error) => {
+        const lostError = new RPCConnectionLostError(error)
+        nsrpc.terminate(lostError)
+        if (connectedAt === undefined || this.transport !== transport) { return }
+        this.transport = undefined
+        this.heartbeat?.stop()
+        if (Date.now() - connectedAt >= STABLE_CONNECTION_TIME) { this.restarts = 0 }
+        this.options.onExit?.(lostError)
+        if (this.options.supervise) { this.restart() }
+      },
     })
 
-    const { stdout, stderr } = this.childProcess
-    if (!stdout) { throw new Error('RecordKit: [RPC] !! No stdout stream on child process.') }
+    try {
+      await nsrpc.handshake()
+      await this.options.setUp?.(nsrpc)
+    } catch (error) {
+      // Talking to a binary with an incompatible protocol can only go wrong in subtle ways, so don't.
+      await transport.close()
+      throw error
+    }
+    if (this.generation !== generation) {
+      // Closed, and possibly initialized again, while connecting.
+      await transport.close()
+      throw new Error('RecordKit: [RPC] Closed while connecting.')
+    }
 
-    readline.createInterface({ input: stdout }).on('line', (line) => {
-      this.nsrpc.receive(line);
-    });
+    this.transport = transport
+    this.currentNsrpc = nsrpc
+    connectedAt = Date.now()
+    this.startHeartbeat(transport, nsrpc)
+  }
 
-    if (stderr) {
-      readline.createInterface({ input: stderr }).on('line', (line) => {
-        console.log(`RecordKit: [RPC] Lognoise on stderr: ${line}`);
-      });
+  private startHeartbeat(transport: RPCTransport, nsrpc: NSRPC) {
+    const options = this.options.heartbeat
+    if (options === undefined) {
+      return
     }
+
+    this.heartbeat = new Heartbeat((timeout) => nsrpc.ping({ timeout }), options, {
+      ...options.handlers,
+      unresponsive: (missed) => {
+        options.handlers.unresponsive(missed)
+        if (options.restart && this.transport === transport) {
+          log.error("RPC", `Process missed ${missed} heartbeats, closing it to restart.`)
+          // Closing reports the connection as lost, after which the supervisor restarts it.
+          transport.close().catch((error) => log.error("RPC", "Failed to close unresponsive process.", error))
+        }
+      },
+    })
+    this.heartbeat.start()
   }
 
-  private write(message: String) {
-    const stdin = this.childProcess?.stdin;
-    if (!stdin) { throw new Error('RecordKit: [RPC] !! Missing stdin stream.') }
-    if (stdin.destroyed) { throw new Error('RecordKit: [RPC] !! Process is gone, cannot write to its stdin.') }
-    stdin.write(message + "\n")
+  private async restart() {
+    const { maxRestarts = 5, initialDelay = 500, maxDelay = 30_000 } = this.options.supervise ?? {}
+    const generation = this.generation
+    while (this.restarts < maxRestarts) {
+      const delay = Math.min(initialDelay * 2 ** this.restarts, maxDelay)
+      this.restarts += 1
+      log.warn("RPC", `Connection lost, restarting in ${delay}ms (attempt ${this.restarts} of ${maxRestarts}).`)
+      await new Promise((resolve) => setTimeout(resolve, delay))
+      if (this.generation !== generation) {
+        // Closed on purpose while waiting, and possibly initialized again.
+        return
+      }
+
+      try {
+        await this.open(generation)
+        this.options.onRestart?.(this.restarts)
+        return
+      } catch (error) {
+        if (this.generation !== generation) { return }
+        log.error("RPC", "Restart failed.", error)
+      }
+    }
+    log.error("RPC", `Giving up after ${maxRestarts} restarts.`)
   }
-}
\ No newline at end of file
+}
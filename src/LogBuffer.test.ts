@@ -0,0 +1,36 @@
+import { LogBuffer } from './LogBuffer.js';
+import type { LogLevel, LogMessage } from './RecordKit.js';
+
+describe('LogBuffer', () => {
+  const message = (timestamp: number, level: LogLevel = 'info', category = 'Recorder'): LogMessage =>
+    ({ timestamp, level, category, message: `message ${timestamp}`, metadata: {}, formattedMessage: '' });
+
+  it('keeps the most recent messages, oldest first', () => {
+    const buffer = new LogBuffer(3);
+    for (let timestamp = 1; timestamp <= 5; timestamp++) {
+      buffer.push(message(timestamp));
+    }
+    expect(buffer.query().map((m) => m.timestamp)).toEqual([3, 4, 5]);
+  });
+
+  it('filters by minimum level, category, time and limit', () => {
+    const buffer = new LogBuffer(10);
+    buffer.push(message(1, 'error', 'Camera'));
+    buffer.push(message(2, 'debug', 'Camera'));
+    buffer.push(message(3, 'critical', 'Recorder'));
+    buffer.push(message(4, 'warning', 'Camera'));
+
+    expect(buffer.query({ level: 'warning' }).map((m) => m.timestamp)).toEqual([1, 3, 4]);
+    expect(buffer.query({ category: 'Camera', since: new Date(2) }).map((m) => m.timestamp)).toEqual([2, 4]);
+    expect(buffer.query({ limit: 2 }).map((m) => m.timestamp)).toEqual([3, 4]);
+    expect(buffer.query({ limit: 0 })).toEqual([]);
+  });
+
+  it('lists every category seen, also after its messages were dropped', () => {
+    const buffer = new LogBuffer(1);
+    buffer.push(message(1, 'info', 'Microphone'));
+    buffer.push(message(2, 'info', 'Camera'));
+    buffer.push(message(3, 'info', 'Camera'));
+    expect(buffer.categories()).toEqual(['Camera', 'Microphone']);
+  });
+});
@@ -0,0 +1,62 @@
+import type { LogLevel, LogMessage } from './RecordKit.js'
+
+/** Log levels from least to most severe. */
+const LOG_LEVELS: LogLevel[] = ['trace', 'debug', 'info', 'warning', 'error', 'critical']
+
+/**
+ * Which messages `recordkit.getRecentLogs()` returns, all conditions must match.
+ *
+ * @group Logging
+ */
+export interface LogQuery {
+  /** Only messages at this level or more severe. */
+  level?: LogLevel
+  /** Only messages in this category. */
+  category?: string
+  /** Only messages logged at or after this time, as a `Date` or milliseconds since the Unix epoch. */
+  since?: Date | number
+  /** Return at most this many messages, the most recent ones. */
+  limit?: number
+}
+
+/**
+ * Keeps the last `capacity` log messages in memory, dropping the oldest message once full.
+ */
+export class LogBuffer {
+  private readonly messages: LogMessage[] = []
+  /** Index of the oldest message once the buffer is full. */
+  private start = 0
+  private readonly seenCategories = new Set<string>()
+
+  constructor(readonly capacity: number) { }
+
+  push(message: LogMessage) {
+    this.seenCategories.add(message.category)
+    if (this.capacity <= 0) {
+      return
+    }
+    if (this.messages.length < this.capacity) {
+      this.messages.push(message)
+    } else {
+      this.messages[this.start] = message
+      this.start = (this.start + 1) % this.capacity
+    }
+  }
+
+  /** The buffered messages matching the query, oldest first. */
+  query(query: LogQuery = {}): LogMessage[] {
+    const minimumLevel = query.level === undefined ? 0 : LOG_LEVELS.indexOf(query.level)
+    const since = query.since instanceof Date ? query.since.getTime() : query.since
+    const matches = [...this.messages.slice(this.start), ...this.messages.slice(0, this.start)].filter((message) =>
+      LOG_LEVELS.indexOf(message.level) >= minimumLevel &&
+      (query.category === undefined || message.category === query.category) &&
+      (since === undefined || message.timestamp >= since)
+    )
+    return query.limit === undefined ? matches : matches.slice(Math.max(matches.length - query.limit, 0))
+  }
+
+  /** Every category seen since creation, sorted, including those of messages no longer buffered. */
+  categories(): string[] {
+    return [...this.seenCategories].sort()
+  }
+}
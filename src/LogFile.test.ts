@@ -0,0 +1,61 @@
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RotatingLogFile } from './LogFile.js';
+import type { LogEntry } from './Logger.js';
+
+describe('RotatingLogFile', () => {
+  let directory: string;
+  beforeEach(() => { directory = mkdtempSync(join(tmpdir(), 'recordkit-')); });
+  afterEach(() => { rmSync(directory, { recursive: true, force: true }); });
+
+  const entry = (message: string, error?: unknown): LogEntry =>
+    ({ source: 'sdk', level: 'info', category: 'RPC', message, metadata: {}, timestamp: 0, error });
+
+  it('rotates when the file gets too large and keeps at most maxFiles', async () => {
+    const path = join(directory, 'recordkit.log');
+    const file = new RotatingLogFile({ path, maxSize: 200, maxFiles: 3 });
+    for (let index = 0; index < 12; index++) {
+      file.write(entry(`message ${index}`));
+    }
+    await file.flush();
+
+    expect(existsSync(`${path}.1`)).toBe(true);
+    expect(existsSync(`${path}.2`)).toBe(true);
+    expect(existsSync(`${path}.3`)).toBe(false);
+    expect(readFileSync(path, 'utf8').length).toBeLessThanOrEqual(200);
+    expect((await file.readRecent()).map((e) => e.message).at(-1)).toBe('message 11');
+    await file.close();
+  });
+
+  it('reads the most recent entries across files, oldest first', async () => {
+    const path = join(directory, 'recordkit.log');
+    const file = new RotatingLogFile({ path, maxSize: 200 });
+    for (let index = 0; index < 6; index++) {
+      file.write(entry(`message ${index}`));
+    }
+
+    expect((await file.readRecent()).map((e) => e.message)).toEqual(['message 0', 'message 1', 'message 2', 'message 3', 'message 4', 'message 5']);
+    expect((await file.readRecent(300)).map((e) => e.message)).toEqual(['message 3', 'message 4', 'message 5']);
+    await file.close();
+  });
+
+  it('serializes errors', async () => {
+    const file = new RotatingLogFile({ path: join(directory, 'recordkit.log') });
+    file.write(entry('Restart failed.', new Error('spawn ENOENT')));
+    expect((await file.readRecent())[0].error).toMatchObject({ name: 'Error', message: 'spawn ENOENT' });
+    await file.close();
+  });
+
+  it('appends to an existing file and writes everything before closing', async () => {
+    const path = join(directory, 'recordkit.log');
+    const first = new RotatingLogFile({ path });
+    first.write(entry('first session'));
+    await first.close();
+
+    const second = new RotatingLogFile({ path });
+    second.write(entry('second session'));
+    await second.close();
+    expect(readFileSync(path, 'utf8').trim().split('\n').map((line) => JSON.parse(line).message)).toEqual(['first session', 'second session']);
+  });
+});
@@ -0,0 +1,142 @@
+import { createWriteStream, existsSync, openSync, renameSync, rmSync, statSync } from 'node:fs'
+import type { WriteStream } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { finished } from 'node:stream/promises'
+import type { LogEntry } from './Logger.js'
+
+/**
+ * Where and how much to log to a file, see `logFile` in `RecordKit.initialize`.
+ *
+ * @group Logging
+ */
+export interface LogFileOptions {
+  /** Path of the current log file. Older files get a numbered suffix: `recordkit.log.1` is the most recent. */
+  path: string
+  /** Size in bytes after which the file is rotated. Defaults to 5 MB. */
+  maxSize?: number
+  /** Number of files to keep including the current one, the oldest file is deleted on rotation. Defaults to `3`. */
+  maxFiles?: number
+}
+
+/**
+ * Appends log entries as JSON lines to a file, rotating it once it reaches its maximum size.
+ *
+ * Entries are written through a stream, so logging doesn't block the event loop on disk I/O. Call
+ * {@link flush} before reading the files.
+ */
+export class RotatingLogFile {
+  private readonly maxSize: number
+  private readonly maxFiles: number
+  private size: number
+  private stream?: WriteStream
+  /** Streams of rotated files that are still writing their last entries. */
+  private readonly closing = new Set<WriteStream>()
+  private failed = false
+
+  constructor(private readonly options: LogFileOptions) {
+    this.maxSize = options.maxSize ?? 5 * 1024 * 1024
+    this.maxFiles = Math.max(options.maxFiles ?? 3, 1)
+    this.size = existsSync(options.path) ? statSync(options.path).size : 0
+  }
+
+  write(entry: LogEntry) {
+    if (this.failed) {
+      return
+    }
+    const line = JSON.stringify({ ...entry, error: serializeError(entry.error) }) + '\n'
+    const length = Buffer.byteLength(line)
+    if (this.size > 0 && this.size + length > this.maxSize) {
+      this.rotate()
+    }
+    this.open().write(line)
+    this.size += length
+  }
+
+  /** Resolves once every entry written so far is on disk. */
+  async flush(): Promise<void> {
+    const stream = this.stream
+    const pending = [...this.closing].map((stream) => finished(stream).catch(() => { }))
+    if (stream !== undefined && !stream.destroyed) {
+      // Writes complete in order, so once this empty write is done all earlier ones are too.
+      pending.push(new Promise((resolve) => { stream.write('', () => resolve()) }))
+    }
+    await Promise.all(pending)
+  }
+
+  /** Writes the remaining entries and closes the file. */
+  async close(): Promise<void> {
+    const stream = this.stream
+    this.stream = undefined
+    stream?.end()
+    await Promise.all([stream, ...this.closing].map((stream) => stream && finished(stream).catch(() => { })))
+  }
+
+  /** Reads the most recent entries from the current and rotated files, up to about `maxBytes`. */
+  async readRecent(maxBytes = 1024 * 1024): Promise<LogEntry[]> {
+    await this.flush()
+    const chunks: string[] = []
+    let remaining = maxBytes
+    for (let index = 0; index < this.maxFiles && remaining > 0; index++) {
+      const path = this.pathOf(index)
+      if (!existsSync(path)) { break }
+      const contents = await readFile(path, 'utf8')
+      chunks.unshift(contents.slice(-remaining))
+      remaining -= contents.length
+    }
+
+    const lines = chunks.join('').split('\n')
+    if (remaining <= 0) {
+      // The first line is probably cut off.
+      lines.shift()
+    }
+    return lines.flatMap((line) => {
+      try {
+        return line === '' ? [] : [JSON.parse(line) as LogEntry]
+      } catch {
+        return []
+      }
+    })
+  }
+
+  private pathOf(index: number) {
+    return index === 0 ? this.options.path : `${this.options.path}.${index}`
+  }
+
+  private open(): WriteStream {
+    if (this.stream === undefined) {
+      // Open the file right away, so it exists when it's rotated before the stream wrote anything.
+      const stream = createWriteStream(this.options.path, { fd: openSync(this.options.path, 'a') })
+      stream.on('error', (error) => {
+        // Stop writing to the file instead of failing on every entry, e.g. when the disk is full.
+        this.failed = true
+        console.error('RecordKit: [Logger] !! Failed to write log file, no longer logging to it.', error)
+      })
+      this.stream = stream
+    }
+    return this.stream
+  }
+
+  private rotate() {
+    // Entries still being written end up in the renamed file, as the stream keeps writing to the file it opened.
+    const stream = this.stream
+    this.stream = undefined
+    if (stream !== undefined) {
+      this.closing.add(stream)
+      stream.end(() => { this.closing.delete(stream) })
+    }
+    rmSync(this.pathOf(this.maxFiles - 1), { force: true })
+    for (let index = this.maxFiles - 2; index >= 0; index--) {
+      if (existsSync(this.pathOf(index))) {
+        renameSync(this.pathOf(index), this.pathOf(index + 1))
+      }
+    }
+    this.size = 0
+  }
+}
+
+function serializeError(error: unknown) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, stack: error.stack }
+  }
+  return error
+}
@@ -0,0 +1,89 @@
+import { configureLogging, log, logNative, logStderr, LogEntry } from './Logger.js';
+import type { LogMessage } from './RecordKit.js';
+
+describe('Logger', () => {
+  const nativeMessage: LogMessage = {
+    timestamp: 1700000000000,
+    level: 'warning',
+    category: 'Camera',
+    message: 'Frame dropped',
+    metadata: { frame: '12' },
+    formattedMessage: '[Camera] Frame dropped',
+  };
+
+  afterEach(() => { configureLogging({}); });
+
+  it('writes to the console without a logger', () => {
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => { });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
+    try {
+      logNative({ ...nativeMessage, level: 'info' });
+      log.error('RPC', 'Restart failed.');
+      logStderr('noise', false);
+      expect(consoleLog.mock.calls).toEqual([['RecordKit:', '[Camera] Frame dropped']]);
+      expect(consoleError.mock.calls).toEqual([['RecordKit: [RPC] !! Restart failed.']]);
+    } finally {
+      consoleLog.mockRestore();
+      consoleError.mockRestore();
+    }
+  });
+
+  it('passes every entry to a function and silences the console', () => {
+    const entries: LogEntry[] = [];
+    const consoleError = jest.spyOn(console, 'error');
+    configureLogging({ logger: (entry) => { entries.push(entry); } });
+    try {
+      const error = new Error('EPIPE');
+      logNative(nativeMessage);
+      logStderr('noise', true);
+      log.warn('RPC', 'Socket error.', error);
+
+      expect(entries).toEqual([
+        { source: 'native', level: 'warning', category: 'Camera', message: 'Frame dropped', metadata: { frame: '12' }, timestamp: 1700000000000 },
+        { source: 'stderr', level: 'debug', category: 'stderr', message: 'noise', metadata: {}, timestamp: expect.any(Number) },
+        { source: 'sdk', level: 'warning', category: 'RPC', message: 'Socket error.', metadata: {}, timestamp: expect.any(Number), error },
+      ]);
+      expect(consoleError).not.toHaveBeenCalled();
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  it('does not throw when the logger throws', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
+    configureLogging({ logger: () => { throw new Error('Logger is closed'); } });
+    try {
+      expect(() => logNative(nativeMessage)).not.toThrow();
+      expect(consoleError).toHaveBeenCalledWith('RecordKit: [Logger] !! Logger failed to log a message.', new Error('Logger is closed'));
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  it('maps levels onto a structured logger', () => {
+    const calls: [string, Record<string, unknown>, string][] = [];
+    const method = (name: string) => (fields: Record<string, unknown>, message: string) => { calls.push([name, fields, message]); };
+    configureLogging({ logger: { debug: method('debug'), info: method('info'), warn: method('warn'), error: method('error') } });
+
+    logNative(nativeMessage);
+    logNative({ ...nativeMessage, level: 'critical' });
+    logNative({ ...nativeMessage, level: 'trace' });
+
+    expect(calls).toEqual([
+      ['warn', { source: 'native', category: 'Camera', frame: '12' }, 'Frame dropped'],
+      ['error', { source: 'native', category: 'Camera', frame: '12' }, 'Frame dropped'],
+      ['debug', { source: 'native', category: 'Camera', frame: '12' }, 'Frame dropped'],
+    ]);
+  });
+
+  it('keeps writing to the console with a logger when asked', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
+    configureLogging({ logger: () => { }, console: true });
+    try {
+      log.error('Recorder', 'Invalid audio buffer received from RPC');
+      expect(consoleError).toHaveBeenCalledWith('RecordKit: [Recorder] !! Invalid audio buffer received from RPC');
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,180 @@
+import type { LogLevel, LogMessage } from './RecordKit.js'
+import type { RotatingLogFile } from './LogFile.js'
+
+/**
+ * Where a {@link LogEntry} comes from:
+ *
+ * - `native` Log messages of the RecordKit process, see {@link LogMessage}.
+ * - `stderr` Lines the RecordKit process wrote to stderr, usually noise from system frameworks.
+ * - `sdk` Warnings and errors of this package itself, like a lost connection to the RecordKit process.
+ *
+ * @group Logging
+ */
+export type LogSource = 'native' | 'stderr' | 'sdk'
+
+/**
+ * Everything RecordKit logs, as passed to a {@link LogFunction}.
+ *
+ * @group Logging
+ */
+export interface LogEntry {
+  source: LogSource
+  level: LogLevel
+  /** Category the message belongs to, e.g. the subsystem of a native message or `RPC` for SDK messages. */
+  category: string
+  message: string
+  /** Additional structured key/value metadata, like the metadata of a native {@link LogMessage}. */
+  metadata: Record<string, unknown>
+  /** Time the message was logged, in milliseconds since the Unix epoch. */
+  timestamp: number
+  /** The error that caused this entry, if any. */
+  error?: unknown
+}
+
+/**
+ * Receives every {@link LogEntry}, see `logger` in `RecordKit.initialize`.
+ *
+ * @example
+ * ```ts
+ * // winston
+ * await recordkit.initialize({ rpcBinaryPath, logger: (entry) => winston.log(entry.level === 'warning' ? 'warn' : entry.level, entry.message, entry) })
+ * ```
+ *
+ * @group Logging
+ */
+export type LogFunction = (entry: LogEntry) => void
+
+/**
+ * A structured logger that takes the fields before the message, like pino and bunyan. Messages at
+ * level `trace` fall back to `debug` and `critical` to `error` if the logger has no `trace` or `fatal` method.
+ *
+ * The fields contain `source`, `category`, the metadata of the entry and the error as `err`.
+ *
+ * @example
+ * ```ts
+ * await recordkit.initialize({ rpcBinaryPath, logger: pino().child({ module: 'recordkit' }) })
+ * ```
+ *
+ * @group Logging
+ */
+export interface StructuredLogger {
+  trace?(fields: Record<string, unknown>, message: string): unknown
+  debug(fields: Record<string, unknown>, message: string): unknown
+  info(fields: Record<string, unknown>, message: string): unknown
+  warn(fields: Record<string, unknown>, message: string): unknown
+  error(fields: Record<string, unknown>, message: string): unknown
+  fatal?(fields: Record<string, unknown>, message: string): unknown
+}
+
+let logger: LogFunction | StructuredLogger | undefined
+let logToConsole = true
+let logFile: RotatingLogFile | undefined
+
+/**
+ * Sets where log entries go. Without a logger everything goes to the console, with a logger the
+ * console is silent unless `console` is `true`. A log file receives everything regardless.
+ */
+export function configureLogging(options: { logger?: LogFunction | StructuredLogger, console?: boolean, file?: RotatingLogFile }) {
+  logger = options.logger
+  logToConsole = options.console ?? options.logger === undefined
+  if (logFile !== options.file) {
+    void logFile?.close()
+  }
+  logFile = options.file
+}
+
+/** The log file set by {@link configureLogging}, if any. */
+export function currentLogFile(): RotatingLogFile | undefined {
+  return logFile
+}
+
+/** Passes the entry to a log function, or to the method of a structured logger for its level. */
+function passToLogger(logger: LogFunction | StructuredLogger, entry: LogEntry) {
+  if (typeof logger === 'function') {
+    logger(entry)
+  } else {
+    const fields: Record<string, unknown> = { source: entry.source, category: entry.category, ...entry.metadata }
+    if (entry.error !== undefined) { fields.err = entry.error }
+    switch (entry.level) {
+      case 'trace': (logger.trace ?? logger.debug).call(logger, fields, entry.message); break
+      case 'debug': logger.debug(fields, entry.message); break
+      case 'info': logger.info(fields, entry.message); break
+      case 'warning': logger.warn(fields, entry.message); break
+      case 'error': logger.error(fields, entry.message); break
+      case 'critical': (logger.fatal ?? logger.error).call(logger, fields, entry.message); break
+    }
+  }
+}
+
+/** Passes the entry to the logger, and to the console using `consoleArguments` if enabled. */
+function write(entry: LogEntry, consoleArguments?: unknown[]) {
+  if (logFile !== undefined) {
+    try {
+      logFile.write(entry)
+    } catch (error) {
+      // Stop writing to the file instead of failing on every message, e.g. when the disk is full.
+      logFile = undefined
+      console.error('RecordKit: [Logger] !! Failed to write log file, no longer logging to it.', error)
+    }
+  }
+
+  if (logger !== undefined) {
+    try {
+      passToLogger(logger, entry)
+    } catch (error) {
+      // Log calls come from handling RPC messages, which a failing logger must not break.
+      console.error('RecordKit: [Logger] !! Logger failed to log a message.', error)
+    }
+  }
+
+  if (logToConsole && consoleArguments !== undefined) {
+    if (entry.level === 'warning' || entry.level === 'error' || entry.level === 'critical') {
+      console.error(...consoleArguments)
+    } else {
+      console.log(...consoleArguments)
+    }
+  }
+}
+
+function sdkEntry(level: LogLevel, category: string, message: string, error?: unknown): LogEntry {
+  return { source: 'sdk', level, category, message, metadata: {}, timestamp: Date.now(), error }
+}
+
+/** Converts a message of the RecordKit process to a log entry. */
+export function nativeEntry(message: LogMessage): LogEntry {
+  return {
+    source: 'native',
+    level: message.level,
+    category: message.category,
+    message: message.message,
+    metadata: message.metadata,
+    timestamp: message.timestamp,
+  }
+}
+
+/** Logs a message of the RecordKit process. */
+export function logNative(message: LogMessage) {
+  write(nativeEntry(message), ['RecordKit:', message.formattedMessage])
+}
+
+/** Logs a line the RecordKit process wrote to stderr, only printed to the console if `print` is set. */
+export function logStderr(line: string, print: boolean) {
+  const entry: LogEntry = { source: 'stderr', level: 'debug', category: 'stderr', message: line, metadata: {}, timestamp: Date.now() }
+  write(entry, print ? [`RecordKit: [RPC] Lognoise on stderr: ${line}`] : undefined)
+}
+
+/** Logs the SDK's own messages, printed to the console as `RecordKit: [category] message`. */
+export const log = {
+  debug(category: string, message: string) {
+    write(sdkEntry('debug', category, message), [`RecordKit: [${category}] ${message}`])
+  },
+  info(category: string, message: string) {
+    write(sdkEntry('info', category, message), [`RecordKit: [${category}] ${message}`])
+  },
+  warn(category: string, message: string, error?: unknown) {
+    write(sdkEntry('warning', category, message, error), [`RecordKit: [${category}] !! ${message}`, ...(error === undefined ? [] : [error])])
+  },
+  error(category: string, message: string, error?: unknown) {
+    write(sdkEntry('error', category, message, error), [`RecordKit: [${category}] !! ${message}`, ...(error === undefined ? [] : [error])])
+  },
+}
@@ -0,0 +1,84 @@
+import { RPCMetrics, RPCSpan } from './Metrics.js';
+import { NSRPC } from './NonstrictRPC.js';
+
+describe('RPCMetrics', () => {
+  it('counts requests and errors per key with a latency histogram', () => {
+    const metrics = new RPCMetrics();
+    metrics.startRequest('Recorder.getWindows')();
+    metrics.startRequest('Recorder.getWindows')(new Error('boom'));
+    metrics.startRequest('target.stop')();
+
+    const { requests } = metrics.snapshot();
+    expect(requests['Recorder.getWindows']).toMatchObject({ count: 2, errors: 1, errorRate: 0.5 });
+    expect(requests['Recorder.getWindows'].latency.count).toBe(2);
+    expect(requests['target.stop']).toMatchObject({ count: 1, errors: 0, errorRate: 0 });
+  });
+
+  it('estimates percentiles from the histogram buckets', () => {
+    const metrics = new RPCMetrics();
+    const now = jest.spyOn(performance, 'now');
+    for (const duration of [3, 3, 3, 3, 3, 3, 3, 3, 3, 40]) {
+      now.mockReturnValueOnce(0).mockReturnValueOnce(duration);
+      metrics.startClosure('MicrophoneStream.onAudioBuffer')();
+    }
+    now.mockRestore();
+
+    const { duration, calls } = metrics.snapshot().closures['MicrophoneStream.onAudioBuffer'];
+    expect(calls).toBe(10);
+    expect(duration).toMatchObject({ count: 10, min: 3, max: 40, sum: 67, p50: 5, p95: 40, p99: 40 });
+    expect(duration.buckets.find((bucket) => bucket.le === 5)?.count).toBe(9);
+  });
+
+  it('counts bytes and messages, and resets', () => {
+    const metrics = new RPCMetrics();
+    metrics.messageSent('héllo');
+    metrics.messageReceived('hi');
+    expect(metrics.snapshot()).toMatchObject({ bytesSent: 6, bytesReceived: 2, messagesSent: 1, messagesReceived: 1 });
+    metrics.reset();
+    expect(metrics.snapshot()).toMatchObject({ bytesSent: 0, messagesSent: 0, requests: {}, closures: {} });
+  });
+
+  it('creates a span per request with its status', () => {
+    const spans: { name: string, attributes: unknown, status?: unknown, exception?: Error, ended: boolean }[] = [];
+    const metrics = new RPCMetrics();
+    metrics.tracer = {
+      startSpan(name, options) {
+        const span = { name, attributes: options?.attributes, ended: false } as typeof spans[number];
+        spans.push(span);
+        return {
+          recordException: (exception) => { span.exception = exception; },
+          setStatus: (status) => { span.status = status; },
+          end: () => { span.ended = true; },
+        } satisfies RPCSpan;
+      },
+    };
+    metrics.startRequest('target.start', 'Recorder_1')(new Error('Camera is in use.'));
+
+    expect(spans).toEqual([{
+      name: 'nsrpc target.start',
+      attributes: { 'rpc.system': 'nsrpc', 'rpc.method': 'target.start', 'nsrpc.target': 'Recorder_1' },
+      status: { code: 2, message: 'Camera is in use.' },
+      exception: expect.any(Error),
+      ended: true,
+    }]);
+  });
+
+  it('is fed by NSRPC requests and closure calls', async () => {
+    const rpc: NSRPC = new NSRPC((data) => {
+      const message = JSON.parse(data);
+      if (message.procedure !== undefined) {
+        setImmediate(() => rpc.receive(JSON.stringify({ nsrpc: 1, id: message.id, status: 200 })));
+      }
+    });
+    await rpc.perform({ type: 'Recorder', action: 'getWindows' });
+    await rpc.perform({ target: 'Recorder_1', action: 'stop' });
+    const closure = rpc.registerClosure({ handler: () => { throw new Error('Disk full'); }, prefix: 'Display.onSegment', lifecycle: {} });
+    rpc.receive(JSON.stringify({ nsrpc: 1, id: 'req_1', procedure: 'perform', target: closure }));
+
+    const snapshot = rpc.metrics.snapshot();
+    expect(Object.keys(snapshot.requests)).toEqual(['Recorder.getWindows', 'target.stop']);
+    expect(snapshot.closures['Display.onSegment']).toMatchObject({ calls: 1, errors: 1 });
+    expect(snapshot.messagesSent).toBe(3);
+    expect(snapshot.messagesReceived).toBe(3);
+  });
+});
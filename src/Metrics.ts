@@ -0,0 +1,219 @@
+/**
+ * Upper bounds in milliseconds of the latency histogram buckets, the last bucket catches the rest.
+ */
+const BUCKET_BOUNDS = [0.5, 1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, Infinity]
+
+/**
+ * Distribution of durations in milliseconds, see {@link MetricsSnapshot}.
+ *
+ * Percentiles are estimated from the buckets: they are the upper bound of the bucket the
+ * percentile falls in, capped at the maximum.
+ *
+ * @group Diagnostics
+ */
+export interface HistogramSnapshot {
+  count: number
+  sum: number
+  min: number
+  max: number
+  mean: number
+  p50: number
+  p95: number
+  p99: number
+  /** Number of durations per bucket, `le` is the bucket's inclusive upper bound. */
+  buckets: { le: number, count: number }[]
+}
+
+/**
+ * Snapshot of the RPC metrics, see `recordkit.debug.metrics()`.
+ *
+ * @group Diagnostics
+ */
+export interface MetricsSnapshot {
+  /** When measuring started, at initialization or the last reset. */
+  since: Date
+  /**
+   * Calls to the RecordKit process, keyed by `type.action` for static methods such as
+   * `Recorder.getWindows`, `target.action` for methods on objects such as `target.stop`, `type.init`
+   * for creating objects and the procedure for releases.
+   */
+  requests: Record<string, { count: number, errors: number, errorRate: number, latency: HistogramSnapshot }>
+  /** Calls from the RecordKit process to closures, keyed by prefix such as `MicrophoneStream.onAudioBuffer`, with the time spent in the handler. */
+  closures: Record<string, { calls: number, errors: number, errorRate: number, duration: HistogramSnapshot }>
+  bytesSent: number
+  bytesReceived: number
+  messagesSent: number
+  messagesReceived: number
+}
+
+/**
+ * A span as created by an {@link RPCTracer}, a subset of the OpenTelemetry `Span` interface.
+ *
+ * @group Diagnostics
+ */
+export interface RPCSpan {
+  recordException(exception: Error): unknown
+  /** Status code `1` is ok and `2` is error, as in OpenTelemetry's `SpanStatusCode`. */
+  setStatus(status: { code: number, message?: string }): unknown
+  end(): unknown
+}
+
+/**
+ * Creates spans for calls to and from the RecordKit process. This is a subset of the OpenTelemetry
+ * `Tracer` interface, so a tracer from `@opentelemetry/api` can be passed directly.
+ *
+ * @example
+ * ```ts
+ * import { trace } from '@opentelemetry/api'
+ * await recordkit.initialize({ rpcBinaryPath, tracer: trace.getTracer('recordkit') })
+ * ```
+ *
+ * @group Diagnostics
+ */
+export interface RPCTracer {
+  startSpan(name: string, options?: { attributes?: Record<string, string | number | boolean> }): RPCSpan
+}
+
+class Histogram {
+  private readonly counts = BUCKET_BOUNDS.map(() => 0)
+  private count = 0
+  private sum = 0
+  private min = Infinity
+  private max = 0
+
+  record(duration: number) {
+    this.count += 1
+    this.sum += duration
+    this.min = Math.min(this.min, duration)
+    this.max = Math.max(this.max, duration)
+    this.counts[BUCKET_BOUNDS.findIndex((bound) => duration <= bound)] += 1
+  }
+
+  snapshot(): HistogramSnapshot {
+    const percentile = (fraction: number) => {
+      const rank = Math.ceil(this.count * fraction)
+      let seen = 0
+      for (const [index, count] of this.counts.entries()) {
+        seen += count
+        if (seen >= rank && count > 0) {
+          return Math.min(BUCKET_BOUNDS[index], this.max)
+        }
+      }
+      return 0
+    }
+    return {
+      count: this.count,
+      sum: this.sum,
+      min: this.count === 0 ? 0 : this.min,
+      max: this.max,
+      mean: this.count === 0 ? 0 : this.sum / this.count,
+      p50: percentile(0.5),
+      p95: percentile(0.95),
+      p99: percentile(0.99),
+      buckets: BUCKET_BOUNDS.map((le, index) => ({ le, count: this.counts[index] })),
+    }
+  }
+}
+
+interface Counter {
+  count: number
+  errors: number
+  histogram: Histogram
+}
+
+/**
+ * Collects latency and throughput metrics of an RPC connection, shared by consecutive connections
+ * when the RecordKit process is restarted.
+ */
+export class RPCMetrics {
+  private since = new Date()
+  private requests = new Map<string, Counter>()
+  private closures = new Map<string, Counter>()
+  private bytesSent = 0
+  private bytesReceived = 0
+  private messagesSent = 0
+  private messagesReceived = 0
+
+  /** Optional tracer to create spans for every request and closure call. */
+  tracer?: RPCTracer
+
+  messageSent(data: string) {
+    this.messagesSent += 1
+    this.bytesSent += Buffer.byteLength(data)
+  }
+
+  messageReceived(data: string) {
+    this.messagesReceived += 1
+    this.bytesReceived += Buffer.byteLength(data)
+  }
+
+  /** Starts measuring a request, call the returned function once it settles. */
+  startRequest(key: string, target?: string): (error?: unknown) => void {
+    return this.start(this.requests, key, `nsrpc ${key}`, { 'rpc.system': 'nsrpc', 'rpc.method': key, ...(target ? { 'nsrpc.target': target } : {}) })
+  }
+
+  /** Starts measuring a closure call, call the returned function once it settles. */
+  startClosure(prefix: string): (error?: unknown) => void {
+    return this.start(this.closures, prefix, `nsrpc closure ${prefix}`, { 'rpc.system': 'nsrpc', 'nsrpc.closure': prefix })
+  }
+
+  snapshot(): MetricsSnapshot {
+    const errorRate = (counter: Counter) => counter.count === 0 ? 0 : counter.errors / counter.count
+    return {
+      since: this.since,
+      requests: Object.fromEntries([...this.requests].map(([key, counter]) => [key, {
+        count: counter.count,
+        errors: counter.errors,
+        errorRate: errorRate(counter),
+        latency: counter.histogram.snapshot(),
+      }])),
+      closures: Object.fromEntries([...this.closures].map(([prefix, counter]) => [prefix, {
+        calls: counter.count,
+        errors: counter.errors,
+        errorRate: errorRate(counter),
+        duration: counter.histogram.snapshot(),
+      }])),
+      bytesSent: this.bytesSent,
+      bytesReceived: this.bytesReceived,
+      messagesSent: this.messagesSent,
+      messagesReceived: this.messagesReceived,
+    }
+  }
+
+  reset() {
+    this.since = new Date()
+    this.requests.clear()
+    this.closures.clear()
+    this.bytesSent = 0
+    this.bytesReceived = 0
+    this.messagesSent = 0
+    this.messagesReceived = 0
+  }
+
+  private start(map: Map<string, Counter>, key: string, spanName: string, attributes: Record<string, string>): (error?: unknown) => void {
+    const start = performance.now()
+    const span = this.tracer?.startSpan(spanName, { attributes })
+    return (error) => {
+      let counter = map.get(key)
+      if (counter === undefined) {
+        counter = { count: 0, errors: 0, histogram: new Histogram() }
+        map.set(key, counter)
+      }
+      counter.count += 1
+      counter.histogram.record(performance.now() - start)
+      if (error !== undefined) {
+        counter.errors += 1
+      }
+
+      if (span) {
+        if (error === undefined) {
+          span.setStatus({ code: 1 })
+        } else {
+          if (error instanceof Error) { span.recordException(error) }
+          span.setStatus({ code: 2, message: error instanceof Error ? error.message : String(error) })
+        }
+        span.end()
+      }
+    }
+  }
+}
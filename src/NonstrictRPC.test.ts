@@ -1,5 +1,7 @@
 import { NSRPC, NSRPCPerformClosureRequest } from './NonstrictRPC.js';
+import { RecordKitError, RPCError, RPCProtocolError, RPCProtocolVersionError, RPCTimeoutError } from './Errors.js';
 import v8 from 'v8';
+import { getEventListeners } from 'events';
 
 // const finalizationRegistry = new FinalizationRegistry(async (destructor) => { console.log('==> ', destructor) })
 
@@ -32,6 +34,389 @@ describe('NonstrictRPC', () => {
         });
     });
 
+    describe('timeouts and cancellation', () => {
+        it('rejects with a timeout error when no response arrives in time', async () => {
+            const rpc = new NSRPC(() => { });
+            const pending = rpc.perform({ type: 'Recorder', action: 'getWindows' }, { timeout: 10 });
+            await expect(pending).rejects.toThrow(RPCTimeoutError);
+            await expect(pending).rejects.toMatchObject({ method: 'Recorder.getWindows', timeout: 10 });
+        });
+
+        it('uses the default timeout and ignores a late response', async () => {
+            const consoleError = jest.spyOn(console, 'error');
+            const sent: string[] = [];
+            const rpc = new NSRPC((data) => sent.push(data));
+            rpc.defaultTimeout = 10;
+            await expect(rpc.perform({ target: 'Recorder_1', action: 'stop' })).rejects.toThrow("'stop' timed out");
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: JSON.parse(sent[0]).id, status: 200 }));
+            expect(consoleError).not.toHaveBeenCalled();
+            consoleError.mockRestore();
+        });
+
+        it('only remembers the most recent abandoned requests', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
+            const sent: string[] = [];
+            const rpc = new NSRPC((data) => sent.push(data));
+            const controllers = Array.from({ length: 1001 }, () => new AbortController());
+            const pending = controllers.map((controller) => rpc.perform({ type: 'Recorder', action: 'getWindows' }, { signal: controller.signal }).catch(() => { }));
+            controllers.forEach((controller) => controller.abort());
+            await Promise.all(pending);
+
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: JSON.parse(sent[1000]).id, status: 200 }));
+            expect(consoleError).not.toHaveBeenCalled();
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: JSON.parse(sent[0]).id, status: 200 }));
+            expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('unknown request'));
+            consoleError.mockRestore();
+        });
+
+        it('rejects with the abort reason when the signal is aborted', async () => {
+            const rpc = new NSRPC(() => { });
+            const controller = new AbortController();
+            const pending = rpc.perform({ type: 'Recorder', action: 'getWindows' }, { signal: controller.signal });
+            controller.abort(new Error('User closed the picker'));
+            await expect(pending).rejects.toThrow('User closed the picker');
+        });
+
+        it('stops listening to the signal once the request settles', async () => {
+            const sent: string[] = [];
+            const rpc = new NSRPC((data) => sent.push(data));
+            const controller = new AbortController();
+            const answered = rpc.perform({ type: 'Recorder', action: 'getWindows' }, { signal: controller.signal });
+            const timedOut = rpc.perform({ type: 'Recorder', action: 'getWindows' }, { signal: controller.signal, timeout: 1 });
+            expect(getEventListeners(controller.signal, 'abort')).toHaveLength(2);
+
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: JSON.parse(sent[0]).id, status: 200, result: [] }));
+            await answered;
+            await expect(timedOut).rejects.toThrow(RPCTimeoutError);
+            expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+        });
+
+        it('does not send a request when the signal is already aborted', async () => {
+            const sent: string[] = [];
+            const rpc = new NSRPC((data) => sent.push(data));
+            await expect(rpc.perform({ type: 'Recorder', action: 'getWindows' }, { signal: AbortSignal.abort() })).rejects.toThrow();
+            expect(sent).toHaveLength(0);
+        });
+    });
+
+    describe('closures', () => {
+        function closureRpc(handler: (params: Record<string, unknown>) => any, concurrency?: number) {
+            const sent: any[] = [];
+            const rpc = new NSRPC((data) => sent.push(JSON.parse(data)));
+            const lifecycle = {};
+            const target = rpc.registerClosure({ handler, prefix: 'test', lifecycle, concurrency });
+            const call = (id: string, params: Record<string, unknown> = {}) =>
+                rpc.receive(JSON.stringify({ nsrpc: 1, id, procedure: 'perform', target, params }));
+            return { rpc, lifecycle, sent, call };
+        }
+        const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+        it('responds once a returned promise resolves', async () => {
+            let finish!: (value: unknown) => void;
+            const { sent, call } = closureRpc(() => new Promise((resolve) => { finish = resolve; }));
+            call('req_1');
+            await tick();
+            expect(sent).toHaveLength(0);
+            finish({ moved: true });
+            await tick();
+            expect(sent).toEqual([{ nsrpc: 1, id: 'req_1', status: 200, result: { moved: true } }]);
+        });
+
+        it('maps a rejection to a structured error response', async () => {
+            const { sent, call } = closureRpc(async () => { throw new Error('Disk full'); });
+            call('req_1');
+            await tick();
+            expect(sent[0]).toMatchObject({ id: 'req_1', status: 202, error: { underlyingError: { name: 'Error', message: 'Disk full' } } });
+        });
+
+        it('queues invocations beyond the concurrency limit', async () => {
+            const finishers: (() => void)[] = [];
+            const started: unknown[] = [];
+            const { sent, call } = closureRpc((params) => new Promise<void>((resolve) => {
+                started.push(params.n);
+                finishers.push(resolve);
+            }), 1);
+            call('req_1', { n: 1 });
+            call('req_2', { n: 2 });
+            await tick();
+            expect(started).toEqual([1]);
+            finishers[0]();
+            await tick();
+            expect(started).toEqual([1, 2]);
+            expect(sent.map((m) => m.id)).toEqual(['req_1']);
+            finishers[1]();
+            await tick();
+            expect(sent.map((m) => m.id)).toEqual(['req_1', 'req_2']);
+        });
+
+        it('responds once a returned thenable resolves', async () => {
+            const { sent, call } = closureRpc(() => ({ then: (resolve: (value: unknown) => void) => resolve({ moved: true }) }));
+            call('req_1');
+            await tick();
+            expect(sent).toEqual([{ nsrpc: 1, id: 'req_1', status: 200, result: { moved: true } }]);
+        });
+
+        it('answers queued invocations with an error once the closure is disposed', async () => {
+            const { rpc, lifecycle, sent, call } = closureRpc(() => new Promise(() => { }), 1);
+            call('req_1');
+            call('req_2');
+            await rpc.dispose(lifecycle);
+            await tick();
+            expect(sent).toEqual([expect.objectContaining({ id: 'req_2', status: 404 })]);
+        });
+
+        it('answers queued invocations with an error once terminated', async () => {
+            const { rpc, sent, call } = closureRpc(() => new Promise(() => { }), 1);
+            call('req_1');
+            call('req_2');
+            rpc.terminate(new Error('RPC process is gone'));
+            await tick();
+            expect(sent).toEqual([expect.objectContaining({ id: 'req_2', status: 404 })]);
+        });
+    });
+
+    describe('dispose', () => {
+        // Answers every request the external process gets with an empty success response.
+        function respondingRpc() {
+            const sent: any[] = [];
+            const rpc: NSRPC = new NSRPC((data) => {
+                const message = JSON.parse(data);
+                sent.push(message);
+                if (message.procedure !== undefined) {
+                    setImmediate(() => rpc.receive(JSON.stringify({ nsrpc: 1, id: message.id, status: 200 })));
+                }
+            });
+            return { rpc, sent };
+        }
+
+        it('releases the targets and closures of a lifecycle object immediately', async () => {
+            const { rpc, sent } = respondingRpc();
+            const lifecycle = {};
+            await rpc.initialize({ target: 'Recorder_1', type: 'Recorder', lifecycle });
+            const closure = rpc.registerClosure({ handler: () => { }, prefix: 'test', lifecycle });
+
+            await rpc.dispose(lifecycle);
+            expect(sent.map((m) => [m.procedure, m.target])).toEqual([['init', 'Recorder_1'], ['release', 'Recorder_1']]);
+
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: 'req_1', procedure: 'perform', target: closure }));
+            expect(sent[2]).toMatchObject({ id: 'req_1', status: 404 });
+        });
+
+        it('does nothing the second time, or for targets that were released manually', async () => {
+            const { rpc, sent } = respondingRpc();
+            const lifecycle = {};
+            await rpc.initialize({ target: 'Recorder_1', type: 'Recorder', lifecycle });
+            await rpc.manualRelease('Recorder_1');
+            await rpc.dispose(lifecycle);
+            await rpc.dispose(lifecycle);
+            expect(sent.map((m) => m.procedure)).toEqual(['init', 'manual-release']);
+        });
+
+        it('skips releasing remote targets once terminated', async () => {
+            const { rpc, sent } = respondingRpc();
+            const lifecycle = {};
+            await rpc.initialize({ target: 'Recorder_1', type: 'Recorder', lifecycle });
+            rpc.terminate(new Error('RPC process is gone'));
+            await expect(rpc.dispose(lifecycle)).resolves.toBeUndefined();
+            expect(sent.map((m) => m.procedure)).toEqual(['init']);
+        });
+    });
+
+    describe('liveObjects', () => {
+        class Owner { }
+
+        it('lists closures with their owner and call count, remote targets and in-flight requests', async () => {
+            const sent: any[] = [];
+            const rpc: NSRPC = new NSRPC((data) => sent.push(JSON.parse(data)));
+            const owner = new Owner();
+            const closure = rpc.registerClosure({ handler: () => { }, prefix: 'Display.onSegment', lifecycle: owner });
+            const initialized = rpc.initialize({ target: 'Recorder_1', type: 'Recorder', lifecycle: owner });
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: sent[0].id, status: 200 }));
+            await initialized;
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: 'req_1', procedure: 'perform', target: closure }));
+            const pending = rpc.perform({ target: 'Recorder_1', action: 'stop' });
+
+            const live = rpc.liveObjects();
+            expect(live.closures).toEqual([expect.objectContaining({
+                target: closure, prefix: 'Display.onSegment', calls: 1, running: 0, queued: 0,
+                owner: { type: 'Owner', target: 'Recorder_1' },
+            })]);
+            expect(live.targets).toEqual([expect.objectContaining({ target: 'Recorder_1', type: 'Recorder', owner: { type: 'Owner', target: 'Recorder_1' } })]);
+            expect(live.requests).toEqual([{ id: sent[2].id, method: 'stop', target: 'Recorder_1', age: expect.any(Number) }]);
+
+            rpc.terminate(new Error('RPC process is gone'));
+            await expect(pending).rejects.toThrow();
+            await rpc.dispose(owner);
+            expect(rpc.liveObjects()).toEqual({ closures: [], targets: [], requests: [] });
+        });
+    });
+
+    describe('exposed types and objects', () => {
+        function exposedRpc() {
+            const sent: any[] = [];
+            const rpc = new NSRPC((data) => sent.push(JSON.parse(data)));
+            const request = (message: Record<string, unknown>) => rpc.receive(JSON.stringify({ nsrpc: 1, ...message }));
+            return { rpc, sent, request };
+        }
+        const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+        class Counter {
+            count: number;
+            constructor(start: number) { this.count = start; }
+            increment(params: Record<string, unknown>) { this.count += params.by as number; return { count: this.count }; }
+        }
+
+        it('creates instances on init and performs their methods', async () => {
+            const { rpc, sent, request } = exposedRpc();
+            rpc.exposeType('Counter', { create: (params) => new Counter(params.start as number) });
+            request({ id: 'req_1', procedure: 'init', type: 'Counter', target: 'Counter_1', params: { start: 10 } });
+            await tick();
+            request({ id: 'req_2', procedure: 'perform', target: 'Counter_1', action: 'increment', params: { by: 5 } });
+            await tick();
+            expect(sent).toEqual([
+                { nsrpc: 1, id: 'req_1', status: 200 },
+                { nsrpc: 1, id: 'req_2', status: 200, result: { count: 15 } },
+            ]);
+        });
+
+        it('rejects a second init for a target that is still being created', async () => {
+            const { rpc, sent, request } = exposedRpc();
+            let created = 0;
+            let fail = true;
+            rpc.exposeType('Counter', { create: async () => {
+                created += 1;
+                await tick();
+                if (fail) throw new Error('No counters today');
+                return new Counter(0);
+            } });
+            request({ id: 'req_1', procedure: 'init', type: 'Counter', target: 'Counter_1' });
+            request({ id: 'req_2', procedure: 'init', type: 'Counter', target: 'Counter_1' });
+            await tick(); await tick();
+            fail = false;
+            request({ id: 'req_3', procedure: 'init', type: 'Counter', target: 'Counter_1' });
+            await tick(); await tick();
+            expect(sent.map((m) => [m.id, m.status])).toEqual([['req_2', 409], ['req_1', 202], ['req_3', 200]]);
+            expect(created).toBe(2);
+        });
+
+        it('performs static methods', () => {
+            const { rpc, sent, request } = exposedRpc();
+            rpc.exposeType('Clock', { methods: { now: () => ({ time: 42 }) } });
+            request({ id: 'req_1', procedure: 'perform', type: 'Clock', action: 'now' });
+            expect(sent[0]).toMatchObject({ status: 200, result: { time: 42 } });
+        });
+
+        it('does not perform methods inherited from Object', () => {
+            const { rpc, sent, request } = exposedRpc();
+            const target = rpc.exposeObject(new Counter(0), { prefix: 'Counter' });
+            request({ id: 'req_1', procedure: 'perform', target, action: 'constructor' });
+            request({ id: 'req_2', procedure: 'perform', type: 'Counter', action: 'toString' });
+            expect(sent.map((m) => m.status)).toEqual([404, 404]);
+        });
+
+        it('releases instances and notifies their type', async () => {
+            const { rpc, sent, request } = exposedRpc();
+            const released: object[] = [];
+            rpc.exposeType('Counter', { create: () => new Counter(0), release: (instance) => released.push(instance) });
+            request({ id: 'req_1', procedure: 'init', type: 'Counter', target: 'Counter_1' });
+            await tick();
+            request({ id: 'req_2', procedure: 'release', target: 'Counter_1' });
+            request({ id: 'req_3', procedure: 'perform', target: 'Counter_1', action: 'increment', params: { by: 1 } });
+            expect(sent.map((m) => m.status)).toEqual([200, 200, 404]);
+            expect(released).toEqual([expect.any(Counter)]);
+        });
+    });
+
+    describe('receive validation', () => {
+        function connectedRpc() {
+            const sent: any[] = [];
+            const rpc = new NSRPC((data) => sent.push(JSON.parse(data)));
+            return { rpc, sent };
+        }
+
+        beforeEach(() => { jest.spyOn(console, 'error').mockImplementation(() => { }); });
+        afterEach(() => { jest.restoreAllMocks(); });
+
+        it('rejects a request when its response is malformed instead of resolving garbage', async () => {
+            const { rpc, sent } = connectedRpc();
+            const pending = rpc.perform({ type: 'Recorder', action: 'getDisplays' });
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: sent[0].id, status: 'ok', result: [] }));
+            await expect(pending).rejects.toBeInstanceOf(RPCProtocolError);
+        });
+
+        it('rejects a request when its error payload is malformed', async () => {
+            const { rpc, sent } = connectedRpc();
+            const pending = rpc.perform({ type: 'Recorder', action: 'getDisplays' });
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: sent[0].id, status: 500, error: 'boom' }));
+            await expect(pending).rejects.toThrow('error is not an object');
+        });
+
+        it('rejects with an error class carrying the failed method and target', async () => {
+            const { rpc, sent } = connectedRpc();
+            const pending = rpc.perform({ target: 'Recorder_1', action: 'start' });
+            const payload = { name: 'RecordKitError', code: 'cameraUnavailable', codeNumber: -1202, message: 'Camera is in use.', debugDescription: 'busy' };
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: sent[0].id, status: 500, error: payload }));
+            await expect(pending).rejects.toBeInstanceOf(RecordKitError);
+            await expect(pending).rejects.toMatchObject({ code: 'cameraUnavailable', method: 'start', target: 'Recorder_1', cause: payload });
+        });
+
+        it('rejects with an RPCError for protocol level error payloads', async () => {
+            const { rpc, sent } = connectedRpc();
+            const pending = rpc.perform({ type: 'Recorder', action: 'getDisplays' });
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: sent[0].id, status: 404, error: { debugDescription: 'Unknown type', userMessage: 'Failed to communicate with external process.' } }));
+            await expect(pending).rejects.toBeInstanceOf(RPCError);
+            await expect(pending).rejects.toMatchObject({ method: 'Recorder.getDisplays', debugDescription: 'Unknown type' });
+        });
+
+        it('answers an invalid request with a 400 response', () => {
+            const { rpc, sent } = connectedRpc();
+            rpc.receive(JSON.stringify({ nsrpc: 1, id: 'req_1', procedure: 'init', target: 'Foo' }));
+            expect(sent).toEqual([expect.objectContaining({ id: 'req_1', status: 400 })]);
+        });
+
+        it('terminates on an unsupported protocol version', async () => {
+            const { rpc, sent } = connectedRpc();
+            const pending = rpc.perform({ type: 'Recorder', action: 'getDisplays' });
+            rpc.receive(JSON.stringify({ nsrpc: 2, id: sent[0].id, status: 200, result: [] }));
+            await expect(pending).rejects.toBeInstanceOf(RPCProtocolVersionError);
+            await expect(rpc.perform({ type: 'Recorder', action: 'getWindows' })).rejects.toBeInstanceOf(RPCProtocolVersionError);
+        });
+    });
+
+    describe('handshake', () => {
+        it('succeeds on an error response with a supported version', async () => {
+            const rpc: NSRPC = new NSRPC((data) => {
+                const request = JSON.parse(data);
+                rpc.receive(JSON.stringify({ nsrpc: 1, id: request.id, status: 404, error: { debugDescription: 'Unknown type' } }));
+            });
+            await expect(rpc.handshake()).resolves.toBeUndefined();
+            expect(rpc.remoteVersion).toBe(1);
+        });
+
+        it('pings with the round-trip time, counting error responses as answers', async () => {
+            const rpc: NSRPC = new NSRPC((data) => {
+                const request = JSON.parse(data);
+                setImmediate(() => rpc.receive(JSON.stringify({ nsrpc: 1, id: request.id, status: 404, error: { debugDescription: 'Unknown action' } })));
+            });
+            await expect(rpc.ping()).resolves.toEqual(expect.any(Number));
+        });
+
+        it('fails a ping that is not answered in time', async () => {
+            const rpc = new NSRPC(() => { });
+            await expect(rpc.ping({ timeout: 5 })).rejects.toBeInstanceOf(RPCTimeoutError);
+        });
+
+        it('fails with a version error when the external process is incompatible', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+            const rpc: NSRPC = new NSRPC((data) => {
+                const request = JSON.parse(data);
+                rpc.receive(JSON.stringify({ nsrpc: 0, id: request.id, status: 200 }));
+            });
+            await expect(rpc.handshake()).rejects.toBeInstanceOf(RPCProtocolVersionError);
+            jest.restoreAllMocks();
+        });
+    });
+
 //     beforeAll(() => {
 //         v8.setFlagsFromString('--allow-natives-syntax');
 //     });
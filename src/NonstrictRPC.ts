@@ -1,8 +1,122 @@
 import { randomUUID } from "crypto";
 import { finalizationRegistry } from "./finalizationRegistry.js";
+import { errorFromPayload, NSError, RecordKitError, RPCError, RPCProtocolError, RPCProtocolVersionError, RPCTimeoutError } from "./Errors.js";
+import type { RemoteErrorContext } from "./Errors.js";
+import { RPCMetrics } from "./Metrics.js";
+import { log } from "./Logger.js";
+
+/** Protocol version written in the `nsrpc` field of every outgoing message. */
+const NSRPC_VERSION = 1;
+/** Range of `nsrpc` versions accepted on incoming messages, `min` inclusive and `max` exclusive. */
+const SUPPORTED_NSRPC_VERSIONS = { min: 1, max: 2 } as const;
+/** Time to wait for the external process to answer the handshake, a fresh process can take a while to start. */
+const HANDSHAKE_TIMEOUT = 30_000;
+/** Number of timed out and aborted requests to remember, to ignore their late responses without logging an error. */
+const MAX_ABANDONED_REQUESTS = 1000;
+
+/**
+ * Options to bound how long a call to the RecordKit process may take. Accepted as the last
+ * argument of every method that communicates with the RecordKit process.
+ *
+ * @remarks Timing out or aborting only stops waiting for the response, the RecordKit process might
+ * still complete the operation.
+ *
+ * @group Utilities
+ */
+export interface RequestOptions {
+  /**
+   * Time in milliseconds to wait for a response before rejecting with a {@link RPCTimeoutError}.
+   * Defaults to the `requestTimeout` passed to `RecordKit.initialize`, which by default is no timeout.
+   */
+  timeout?: number
+  /** Signal to abort waiting for the response, rejects with the signal's `reason` when aborted. */
+  signal?: AbortSignal
+}
 
 type NSRPCMessage = NSRPCRequest | NSRPCResponse;
 
+/* Exposed types and objects */
+
+/**
+ * A method the RecordKit process can perform on an exposed type or object. Receives the request's
+ * params and may return a result object, or a promise for one.
+ *
+ * @group Native Bridge
+ */
+export type ExposedMethod = (
+  params: Record<string, unknown>
+) => Record<string, unknown> | void | Promise<Record<string, unknown> | void>;
+
+/**
+ * Definition of a type exposed to the RecordKit process with `RecordKit.exposeType`.
+ *
+ * @group Native Bridge
+ */
+export interface ExposedType {
+  /**
+   * Creates an instance when the RecordKit process initializes this type. Every method of the
+   * returned object (not inherited from `Object`) can then be performed on the instance.
+   */
+  create?: (params: Record<string, unknown>) => object | Promise<object>;
+  /** Static methods the RecordKit process can perform on the type itself, keyed by action. */
+  methods?: Record<string, ExposedMethod>;
+  /** Called with an instance after the RecordKit process released it. */
+  release?: (instance: object) => void;
+}
+
+/* Diagnostics */
+
+/**
+ * Snapshot of everything the RPC connection keeps alive, see `recordkit.debug.liveObjects()`.
+ *
+ * @group Diagnostics
+ */
+export interface LiveObjects {
+  /** Closures the RecordKit process can call, like segment and audio buffer callbacks. */
+  closures: {
+    target: string
+    /** What the closure is for, e.g. `Display.onSegment` or `MicrophoneStream.onAudioBuffer`. */
+    prefix: string
+    createdAt: Date
+    /** Number of times the RecordKit process called the closure. */
+    calls: number
+    /** Number of calls whose returned promise is still pending. */
+    running: number
+    /** Number of calls waiting for a running one to settle. */
+    queued: number
+    /** The object the closure lives as long as, e.g. a recorder. */
+    owner: LiveObjectOwner
+  }[]
+  /** Objects initialized in the RecordKit process that haven't been released, like recorders. */
+  targets: {
+    target: string
+    type: string
+    createdAt: Date
+    owner: LiveObjectOwner
+  }[]
+  /** Requests sent to the RecordKit process that are still waiting for a response. */
+  requests: {
+    id: string
+    /** The method called, e.g. `Recorder.getWindows` or `stop`. */
+    method: string
+    target?: string
+    /** Time in milliseconds since the request was sent. */
+    age: number
+  }[]
+}
+
+/**
+ * The object a live closure or target belongs to.
+ *
+ * @group Diagnostics
+ */
+export interface LiveObjectOwner {
+  /** Class name of the owning object, e.g. `Recorder` or `RecordKit`. */
+  type: string
+  /** The remote target of the owning object, e.g. `Recorder_<uuid>`, if it has one. */
+  target?: string
+}
+
 /* Request types */
 
 type NSRPCRequest =
@@ -100,79 +214,385 @@ type NSRPCResponseBody = NSRPCSuccesfulResponseBody | NSRPCErrorResponseBody;
 type NSRPCSuccesfulResponseBody = Omit<NSRPCSuccesfulResponse, "nsrpc" | "id">;
 type NSRPCErrorResponseBody = Omit<NSRPCErrorResponse, "nsrpc" | "id">;
 
+/* Validation */
+
+/** Human readable name of the method a request performs, e.g. `Recorder.getWindows` or `stop`. */
+function describeRequest(request: NSRPCRequestBody): string {
+  if ("action" in request && request.action !== undefined) {
+    return "type" in request ? `${request.type}.${request.action}` : request.action;
+  }
+  if (request.procedure === "init") {
+    return `${request.type}.init`;
+  }
+  return request.procedure;
+}
+
+/** The key a request is measured under, see {@link MetricsSnapshot.requests}. */
+function metricsKey(request: NSRPCRequestBody): string {
+  switch (request.procedure) {
+    case "init":
+      return `${request.type}.init`;
+    case "perform": {
+      const action = "action" in request ? request.action : undefined;
+      if ("type" in request && request.type !== undefined) {
+        return `${request.type}.${action}`;
+      }
+      return action === undefined ? "closure" : `target.${action}`;
+    }
+    default:
+      return request.procedure;
+  }
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isSupportedVersion(version: unknown): version is number {
+  return (
+    typeof version === "number" &&
+    version >= SUPPORTED_NSRPC_VERSIONS.min &&
+    version < SUPPORTED_NSRPC_VERSIONS.max
+  );
+}
+
+function optionalType(message: Record<string, unknown>, field: string, type: "string" | "number"): boolean {
+  return message[field] === undefined || typeof message[field] === type;
+}
+
+/**
+ * Checks the shape of an error payload against the error types RecordKit can send: every payload
+ * is an object, and the well-known fields have the types callers rely on.
+ */
+function validateErrorPayload(error: unknown): string | undefined {
+  if (!isRecord(error)) {
+    return "error is not an object";
+  }
+  for (const field of ["name", "message", "userMessage", "debugDescription"]) {
+    if (!optionalType(error, field, "string")) {
+      return `error.${field} is not a string`;
+    }
+  }
+  if (error.name === "RecordKitError" && (typeof error.code !== "string" || typeof error.codeNumber !== "number")) {
+    return "RecordKitError is missing its code or codeNumber";
+  }
+  if (error.name === "NSError" && (typeof error.errorDomain !== "string" || typeof error.errorCode !== "number")) {
+    return "NSError is missing its errorDomain or errorCode";
+  }
+  return undefined;
+}
+
+/**
+ * Validates a parsed message (with a supported `nsrpc` version) against the request and response
+ * interfaces above. Returns a description of the first problem found, or `undefined` if valid.
+ */
+function validateMessage(message: Record<string, unknown>): string | undefined {
+  if ("status" in message) {
+    if (typeof message.id !== "string") {
+      return "response id is not a string";
+    }
+    if (typeof message.status !== "number" || !Number.isInteger(message.status)) {
+      return "response status is not an integer";
+    }
+    if (message.status !== 200) {
+      return validateErrorPayload(message.error);
+    }
+    return undefined;
+  }
+
+  if (!optionalType(message, "id", "string")) {
+    return "request id is not a string";
+  }
+  if (message.params !== undefined && !isRecord(message.params)) {
+    return "request params is not an object";
+  }
+  switch (message.procedure) {
+    case "init":
+      if (typeof message.id !== "string" || typeof message.target !== "string" || typeof message.type !== "string") {
+        return "init request requires an id, target and type";
+      }
+      return undefined;
+    case "perform":
+      if (typeof message.target !== "string" && typeof message.type !== "string") {
+        return "perform request requires a target or type";
+      }
+      if (!optionalType(message, "action", "string")) {
+        return "perform request action is not a string";
+      }
+      if (typeof message.target !== "string" && message.action === undefined) {
+        return "static perform request requires an action";
+      }
+      return undefined;
+    case "release":
+    case "manual-release":
+      if (typeof message.id !== "string" || typeof message.target !== "string") {
+        return "release request requires an id and target";
+      }
+      return undefined;
+    default:
+      return `unknown procedure '${message.procedure}'`;
+  }
+}
+
+/**
+ * Everything kept alive on behalf of a lifecycle object: the targets initialized in the external
+ * process and the closures registered for it. Released together when the object is disposed, or as
+ * a safety net when it is garbage collected.
+ */
+interface Lifecycle {
+  /** Class name of the lifecycle object, for the warning when it wasn't disposed. */
+  name: string;
+  targets: Set<string>;
+  closures: Set<string>;
+}
+
+interface RemoteTarget {
+  type: string;
+  lifecycle: Lifecycle;
+  createdAt: Date;
+}
+
 interface PromiseSource {
   resolve: (
     value: unknown
   ) => void;
   reject: (reason?: any) => void;
+  /** The request being responded to, attached to errors sent by the external process. */
+  context: RemoteErrorContext;
+  sentAt: number;
 }
+type ClosureResult = Record<string, unknown> | void;
 type ClosureTarget = (
   params: Record<string, unknown>
-) => Record<string, unknown> | void;
+) => ClosureResult | Promise<ClosureResult>;
+
+interface Closure {
+  handler: ClosureTarget;
+  prefix: string;
+  lifecycle: Lifecycle;
+  createdAt: Date;
+  calls: number;
+  /** Maximum number of invocations whose returned promise is still pending. */
+  concurrency: number;
+  running: number;
+  /** Invocations waiting for a running one to settle, in arrival order. */
+  queue: QueuedInvocation[];
+}
+
+interface QueuedInvocation {
+  invoke(): void;
+  /** Answers the invocation without performing it, because the closure or connection is gone. */
+  cancel(response: NSRPCResponseBody): void;
+}
+
+/** Whether the error was sent by the external process, as opposed to thrown on this side. */
+function isRemoteError(error: unknown): boolean {
+  return error instanceof RecordKitError || error instanceof NSError || error instanceof RPCError;
+}
+
+export function isPromiseLike(value: unknown): value is PromiseLike<unknown> {
+  return typeof (value as PromiseLike<unknown> | undefined)?.then === "function";
+}
+
+/** Looks up a method to perform on an exposed object, never one inherited from `Object`. */
+function lookupMethod(object: object, action: string): Function | undefined {
+  if (action in Object.prototype) {
+    return undefined;
+  }
+  const method = (object as Record<string, unknown>)[action];
+  return typeof method === "function" ? method : undefined;
+}
+
+function notFoundResponse(description: string): NSRPCErrorResponseBody {
+  return {
+    status: 404,
+    error: {
+      debugDescription: description,
+      userMessage:
+        "Failed to communicate with external process. (Target not found)",
+    },
+  };
+}
+
+/**
+ * Performs a handler and turns its outcome into a response: immediately for a plain result or a
+ * throw, or once settled for a returned promise.
+ */
+function invokeHandler(
+  perform: () => unknown
+): NSRPCResponseBody | Promise<NSRPCResponseBody> {
+  let rawresult: unknown;
+  try {
+    rawresult = perform();
+  } catch (error) {
+    return handlerErrorResponse(error);
+  }
+  if (!isPromiseLike(rawresult)) {
+    return { status: 200, result: rawresult };
+  }
+  return Promise.resolve(rawresult).then(
+    (result): NSRPCResponseBody => ({ status: 200, result }),
+    (error) => handlerErrorResponse(error)
+  );
+}
+
+function handlerErrorResponse(error: unknown): NSRPCErrorResponseBody {
+  return {
+    status: 202,
+    error: {
+      debugDescription: `${error}`,
+      userMessage: "Handler failed to perform request.",
+      underlyingError: error instanceof Error
+        ? { name: error.name, message: error.message, stack: error.stack }
+        : error,
+    },
+  };
+}
 
 export class NSRPC {
   logMessages = false;
+  /** Timeout in milliseconds for requests that don't specify their own, `undefined` for no timeout. */
+  defaultTimeout?: number;
   private readonly send: (data: string) => void;
 
   private responseHandlers: Map<string, PromiseSource> = new Map();
-  private closureTargets: Map<string, ClosureTarget> = new Map();
+  private closureTargets: Map<string, Closure> = new Map();
+  private exposedTypes: Map<string, ExposedType> = new Map();
+  private exposedObjects: Map<string, { object: object; type?: ExposedType }> = new Map();
+  /** Targets of init requests whose object is still being created. */
+  private pendingTargets: Set<string> = new Set();
+  private abandonedRequests: Set<string> = new Set();
+  private lifecycles: WeakMap<object, Lifecycle> = new WeakMap();
+  /** Targets initialized in the external process that haven't been released. */
+  private remoteTargets: Map<string, RemoteTarget> = new Map();
   private terminationError?: Error;
 
+  /** The `nsrpc` protocol version of the last valid message received from the external process. */
+  remoteVersion?: number;
+  /** Latency and throughput metrics, replace to share them between connections. */
+  metrics = new RPCMetrics();
+
   constructor(send: (data: string) => void) {
     this.send = send;
   }
 
+  /** Whether the connection is permanently gone, see {@link terminate}. */
+  get isTerminated(): boolean {
+    return this.terminationError !== undefined;
+  }
+
   /**
    * Marks the RPC connection as permanently gone, e.g. because the external process exited.
    *
    * All in-flight requests are rejected with the given error and any future request fails
    * immediately with the same error, instead of waiting forever for a response that can no
-   * longer arrive.
+   * longer arrive. Only the first termination error is kept, as that is the root cause.
    */
   terminate(error: Error) {
+    if (this.terminationError !== undefined) {
+      return;
+    }
     this.terminationError = error;
     const pendingHandlers = [...this.responseHandlers.values()];
     this.responseHandlers.clear();
+    this.abandonedRequests.clear();
     for (const handler of pendingHandlers) {
       handler.reject(error);
     }
+    for (const closure of this.closureTargets.values()) {
+      this.cancelQueued(closure, error.message);
+    }
   }
 
   receive(data: string) {
-    // TODO: For now we just assume the message is a valid NSRPC message, but we should:
-    // - Check if the nsrpc property is set to a number in the range of 1..<2
-    // - Validate the message against the defined interfaces above
-    let message: NSRPCMessage
+    this.metrics.messageReceived(data);
+    let json: unknown
     try {
       if (this.logMessages) {
-        console.log("RecordKit: [RPC] <", data.trimEnd());
+        log.debug("RPC", `< ${data.trimEnd()}`);
       }
-      message = JSON.parse(data) as NSRPCMessage;
+      json = JSON.parse(data);
     } catch (error) {
       if (this.logMessages) {
-        console.error("RecordKit: [RPC] !! Above message is invalid JSON, will be ignored.");
+        log.error("RPC", "Above message is invalid JSON, will be ignored.", error);
+      }
+      return;
+    }
+
+    if (!isRecord(json)) {
+      log.error("RPC", "Got a message that is not an object, will be ignored.");
+      return;
+    }
+
+    const id = typeof json.id === "string" ? json.id : undefined;
+    if (!isSupportedVersion(json.nsrpc)) {
+      // Nothing this process says can be trusted to mean what we think it means, so stop talking to it.
+      const error = new RPCProtocolVersionError(json.nsrpc, SUPPORTED_NSRPC_VERSIONS);
+      log.error("RPC", error.message, error);
+      if (!("status" in json)) {
+        this.sendResponse(id, {
+          status: 505,
+          error: {
+            debugDescription: error.message,
+            userMessage: "Failed to communicate with external process. (Unsupported protocol version)",
+          },
+        });
       }
+      this.terminate(error);
       return;
     }
 
+    const problem = validateMessage(json);
+    if (problem !== undefined) {
+      const error = new RPCProtocolError(`Received an invalid message: ${problem}.`);
+      log.error("RPC", error.message, error);
+      if ("status" in json) {
+        // Fail the request instead of resolving it with garbage.
+        const responseHandler = id === undefined ? undefined : this.responseHandlers.get(id);
+        if (id !== undefined && responseHandler !== undefined) {
+          this.responseHandlers.delete(id);
+          responseHandler.reject(error);
+        }
+      } else {
+        this.sendResponse(id, {
+          status: 400,
+          error: {
+            debugDescription: error.message,
+            userMessage: "Failed to communicate with external process. (Invalid request)",
+          },
+        });
+      }
+      return;
+    }
+
+    this.remoteVersion = json.nsrpc;
+    const message = json as unknown as NSRPCMessage;
     if ("status" in message) {
       // This is a response, dispatch it so it can be handled
       const responseHandler = this.responseHandlers.get(message.id);
       this.responseHandlers.delete(message.id);
       if (responseHandler === undefined) {
-        console.error("RecordKit: [RPC] !! Got a response for an unknown request.", message.id);
+        if (this.abandonedRequests.delete(message.id)) {
+          // Late response to a request that timed out or was aborted, nobody is waiting for it anymore.
+          return;
+        }
+        log.error("RPC", `Got a response for an unknown request: ${message.id}`);
         return;
       }
 
       if ("error" in message) {
-        responseHandler.reject(message.error);
+        responseHandler.reject(errorFromPayload(message.error, responseHandler.context));
       } else {
         responseHandler.resolve(message.result);
       }
     } else {
       // This is a request
       const responseBody = this.handleRequest(message);
-      if (responseBody !== undefined) {
+      if (isPromiseLike(responseBody)) {
+        responseBody
+          .then((body) => this.sendResponse(message.id, body))
+          .catch((error) => log.error("RPC", "Failed to send response.", error));
+      } else if (responseBody !== undefined) {
         this.sendResponse(message.id, responseBody);
       }
     }
@@ -183,131 +603,270 @@ export class NSRPC {
   private sendMessage(message: NSRPCMessage) {
     const stringMessage = JSON.stringify(message)
     if (this.logMessages) {
-      console.log("RecordKit: [RPC] >", stringMessage);
+      log.debug("RPC", `> ${stringMessage}`);
     }
     this.send(stringMessage);
+    this.metrics.messageSent(stringMessage);
   }
 
   private sendResponse(id: string | undefined, response: NSRPCResponseBody) {
     if (id === undefined) {
       return;
     }
-    this.sendMessage({ ...response, nsrpc: 1, id });
+    this.sendMessage({ ...response, nsrpc: NSRPC_VERSION, id });
   }
 
   private async sendRequest(
-    request: NSRPCRequestBody
+    request: NSRPCRequestBody,
+    options: RequestOptions = {}
   ): Promise<unknown> {
     if (this.terminationError !== undefined) {
       throw this.terminationError;
     }
+    const { signal } = options;
+    signal?.throwIfAborted();
+
     const id = "req_" + randomUUID();
+    const timeout = options.timeout ?? this.defaultTimeout;
+    const target = "target" in request ? request.target : undefined;
+    const finishMetrics = this.metrics.startRequest(metricsKey(request), target);
     const response = new Promise((resolve, reject) => {
-      this.responseHandlers.set(id, { resolve, reject });
+      let timer: ReturnType<typeof setTimeout> | undefined;
+      const settle = (error?: unknown) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", abandon);
+        finishMetrics(error);
+      };
+      const abandon = () => {
+        this.responseHandlers.delete(id);
+        this.abandonedRequests.add(id);
+        if (this.abandonedRequests.size > MAX_ABANDONED_REQUESTS) {
+          // Forget the oldest, its response most likely never arrives, e.g. because the process is wedged.
+          this.abandonedRequests.delete(this.abandonedRequests.values().next().value!);
+        }
+        const reason = signal?.aborted ? signal.reason : new RPCTimeoutError(describeRequest(request), timeout!);
+        settle(reason);
+        reject(reason);
+      };
+
+      this.responseHandlers.set(id, {
+        resolve: (value) => { settle(); resolve(value); },
+        reject: (reason) => { settle(reason); reject(reason); },
+        context: { method: describeRequest(request), target },
+        sentAt: Date.now(),
+      });
+      if (timeout !== undefined) {
+        timer = setTimeout(abandon, timeout);
+      }
+      signal?.addEventListener("abort", abandon, { once: true });
     });
 
-    this.sendMessage({ ...request, nsrpc: 1, id });
+    try {
+      this.sendMessage({ ...request, nsrpc: NSRPC_VERSION, id });
+    } catch (error) {
+      this.responseHandlers.get(id)?.reject(error);
+      this.responseHandlers.delete(id);
+    }
 
     return response;
   }
 
   /* Request handling */
 
-  private handleRequest(request: NSRPCRequest): NSRPCResponseBody | undefined {
+  private handleRequest(request: NSRPCRequest): NSRPCResponseBody | Promise<NSRPCResponseBody> | undefined {
     switch (request.procedure) {
       case "init":
-        return {
-          status: 501,
-          error: {
-            debugDescription: "Init procedure not implemented.",
-            userMessage:
-              "Failed to communicate with external process. (Procedure not implemented)",
-          },
-        };
+        return this.handleInitRequest(request);
       case "perform":
         if ("action" in request) {
-          return {
-            status: 501,
-            error: {
-              debugDescription:
-                "Perform procedure for (static) methods not implemented.",
-              userMessage:
-                "Failed to communicate with external process. (Procedure not implemented)",
-            },
-          };
+          return this.handleMethodRequest(request);
         } else {
           return this.handleClosureRequest(request);
         }
       case "release":
-        return {
-          status: 501,
-          error: {
-            debugDescription: "Release procedure not implemented.",
-            userMessage:
-              "Failed to communicate with external process. (Procedure not implemented)",
-          },
-        };
+      case "manual-release":
+        return this.handleReleaseRequest(request);
     }
   }
 
-  private handleClosureRequest(
-    request: NSRPCPerformClosureRequest
-  ): NSRPCResponseBody {
-    const handler = this.closureTargets.get(request.target);
-    if (handler === undefined) {
+  private handleInitRequest(
+    request: NSRPCInitializationRequest
+  ): NSRPCResponseBody | Promise<NSRPCResponseBody> {
+    const type = this.exposedTypes.get(request.type);
+    if (type?.create === undefined) {
+      return notFoundResponse(`Init type '${request.type}' not found.`);
+    }
+    if (this.exposedObjects.has(request.target) || this.pendingTargets.has(request.target)) {
       return {
-        status: 404,
+        status: 409,
         error: {
-          debugDescription: `Perform target '${request.target}' not found.`,
+          debugDescription: `Init target '${request.target}' already exists.`,
           userMessage:
-            "Failed to communicate with external process. (Target not found)",
+            "Failed to communicate with external process. (Target already exists)",
         },
       };
     }
 
+    const create = type.create;
+    // Reserve the target right away, a second init for it may arrive while the object is created.
+    this.pendingTargets.add(request.target);
+    return invokeHandler(async () => {
+      try {
+        const object = await create(request.params ?? {});
+        this.exposedObjects.set(request.target, { object, type });
+      } finally {
+        this.pendingTargets.delete(request.target);
+      }
+    });
+  }
+
+  private handleMethodRequest(
+    request: NSRPCPerformStaticMethodRequest | NSRPCPerformMethodRequest
+  ): NSRPCResponseBody | Promise<NSRPCResponseBody> {
+    const params = request.params ?? {};
+    if ("target" in request) {
+      const exposed = this.exposedObjects.get(request.target);
+      if (exposed === undefined) {
+        return notFoundResponse(`Perform target '${request.target}' not found.`);
+      }
+      const method = lookupMethod(exposed.object, request.action);
+      if (method === undefined) {
+        return notFoundResponse(`Perform action '${request.action}' not found on target '${request.target}'.`);
+      }
+      return invokeHandler(() => method.call(exposed.object, params));
+    }
+
+    const methods = this.exposedTypes.get(request.type)?.methods;
+    if (methods === undefined || !Object.hasOwn(methods, request.action)) {
+      return notFoundResponse(`Perform action '${request.action}' not found on type '${request.type}'.`);
+    }
+    return invokeHandler(() => methods[request.action](params));
+  }
+
+  private handleReleaseRequest(
+    request: NSRPCReleaseRequest
+  ): NSRPCResponseBody | Promise<NSRPCResponseBody> {
+    const exposed = this.exposedObjects.get(request.target);
+    if (exposed === undefined) {
+      return notFoundResponse(`Release target '${request.target}' not found.`);
+    }
+    this.exposedObjects.delete(request.target);
+    return invokeHandler(() => { exposed.type?.release?.(exposed.object); });
+  }
+
+  private handleClosureRequest(
+    request: NSRPCPerformClosureRequest
+  ): NSRPCResponseBody | Promise<NSRPCResponseBody> {
+    const closure = this.closureTargets.get(request.target);
+    if (closure === undefined) {
+      return notFoundResponse(`Perform target '${request.target}' not found.`);
+    }
+
+    const params = request.params ?? {};
+    if (closure.running >= closure.concurrency) {
+      return new Promise((resolve) => {
+        closure.queue.push({
+          invoke: () => resolve(this.invokeClosure(closure, params)),
+          cancel: resolve,
+        });
+      });
+    }
+    return this.invokeClosure(closure, params);
+  }
+
+  private invokeClosure(
+    closure: Closure,
+    params: Record<string, unknown>
+  ): NSRPCResponseBody | Promise<NSRPCResponseBody> {
+    closure.calls++;
+    const finishMetrics = this.metrics.startClosure(closure.prefix);
+    const finish = (body: NSRPCResponseBody) => {
+      finishMetrics("error" in body ? body.error : undefined);
+      return body;
+    };
+    const response = invokeHandler(() => closure.handler(params));
+    if (!isPromiseLike(response)) {
+      return finish(response);
+    }
+
+    // Only handlers that return a promise occupy a slot, the response is sent once it settles.
+    closure.running++;
+    return Promise.resolve(response).then(finish).finally(() => {
+      closure.running--;
+      closure.queue.shift()?.invoke();
+    });
+  }
+
+  /** Answers every invocation still waiting for the closure with an error, so the external process doesn't wait forever. */
+  private cancelQueued(closure: Closure, reason: string) {
+    const queued = closure.queue.splice(0);
+    for (const invocation of queued) {
+      invocation.cancel(notFoundResponse(`Closure '${closure.prefix}' was not performed, ${reason}`));
+    }
+  }
+
+  /* Perform remote procedures */
+
+  /**
+   * Verifies the external process speaks a compatible protocol version, should be the first request
+   * sent after connecting.
+   *
+   * Rejects with a {@link RPCProtocolVersionError} if the external process responds with an
+   * unsupported `nsrpc` version. Any valid response counts as a successful handshake, including an
+   * error response from binaries that predate the handshake action.
+   */
+  async handshake() {
     try {
-      const rawresult = handler(request.params ?? {});
-      const result = rawresult === undefined ? undefined : rawresult;
-      return {
-        status: 200,
-        result,
-      };
+      await this.perform({
+        type: "NSRPC",
+        action: "handshake",
+        params: { nsrpc: NSRPC_VERSION, supportedVersions: SUPPORTED_NSRPC_VERSIONS },
+      }, { timeout: HANDSHAKE_TIMEOUT });
     } catch (error) {
-      return {
-        status: 202,
-        // TODO: Would be good to have an error type that we can throw that fills these fields more specifically. (But for now it doesn't matter since this is just communicated back the the CLI and not to the user.)
-        error: {
-          debugDescription: `${error}`,
-          userMessage: "Handler failed to perform request.",
-          underlyingError: error,
-        },
-      };
+      // Errors thrown on this side (protocol errors, termination) fail the handshake, errors
+      // sent by the external process don't.
+      if (!isRemoteError(error)) {
+        throw error;
+      }
     }
   }
 
-  /* Perform remote procedures */
+  /**
+   * Checks the external process still responds, resolves with the round-trip time in milliseconds.
+   *
+   * Like the handshake, an error response counts as a response, so binaries that predate the ping
+   * action can be checked too.
+   */
+  async ping(options?: RequestOptions): Promise<number> {
+    const start = performance.now();
+    try {
+      await this.perform({ type: "NSRPC", action: "ping" }, options);
+    } catch (error) {
+      if (!isRemoteError(error)) {
+        throw error;
+      }
+    }
+    return performance.now() - start;
+  }
 
   async initialize(args: {
     target: string;
     type: string;
     params?: Record<string, unknown>;
     lifecycle: Object;
-  }) {
+  }, options?: RequestOptions) {
     await this.sendRequest({
       target: args.target,
       type: args.type,
       params: args.params,
       procedure: "init",
-    });
+    }, options);
 
-    // Register the GC release only after a successful init; registering earlier would later send a
+    // Track the target only after a successful init; tracking it earlier would later send a
     // release for a target the external process never knew about.
-    const target = args.target
-    finalizationRegistry.register(args.lifecycle, () => {
-      // Swallow rejections: the external process may already be gone, in which case there is
-      // nothing left to release.
-      this.release(target).catch(() => { });
-    });
+    const lifecycle = this.lifecycleOf(args.lifecycle);
+    lifecycle.targets.add(args.target);
+    this.remoteTargets.set(args.target, { type: args.type, lifecycle, createdAt: new Date() });
   }
 
   async perform(body: { // TODO: Add support for static method calls.
@@ -315,41 +874,176 @@ export class NSRPC {
     target?: string;
     action?: string;
     params?: Record<string, unknown>;
-  }): Promise<unknown> {
+  }, options?: RequestOptions): Promise<unknown> {
     return await this.sendRequest({
       ...body,
       procedure: "perform",
-    } as any);
+    } as any, options);
   }
 
-  private async release(target: string) {
+  private async release(target: string, options?: RequestOptions) {
     await this.sendRequest({
       procedure: "release",
       target,
-    });
+    }, options);
   }
 
-  async manualRelease(target: string) {
+  async manualRelease(target: string, options?: RequestOptions) {
     await this.sendRequest({
       procedure: "manual-release",
       target,
+    }, options);
+    this.remoteTargets.get(target)?.lifecycle.targets.delete(target);
+    this.remoteTargets.delete(target);
+  }
+
+  /**
+   * Releases everything kept alive on behalf of the lifecycle object right away: the targets it
+   * initialized in the external process and the closures registered for it. Does nothing if there
+   * is nothing left to release.
+   *
+   * Without disposing, the same happens once the object is garbage collected, which may take long.
+   */
+  async dispose(object: object, options?: RequestOptions) {
+    const lifecycle = this.lifecycles.get(object);
+    if (lifecycle === undefined) {
+      return;
+    }
+    this.lifecycles.delete(object);
+    finalizationRegistry.unregister(lifecycle);
+
+    const targets = this.forget(lifecycle);
+    if (this.isTerminated) {
+      // The external process is gone, and so are the targets in it.
+      return;
+    }
+    await Promise.all(targets.map((target) => this.release(target, options)));
+  }
+
+  private lifecycleOf(object: object): Lifecycle {
+    let lifecycle = this.lifecycles.get(object);
+    if (lifecycle === undefined) {
+      const created: Lifecycle = { name: object.constructor?.name ?? "object", targets: new Set(), closures: new Set() };
+      this.lifecycles.set(object, created);
+      finalizationRegistry.register(object, () => this.finalize(created), created);
+      lifecycle = created;
+    }
+    return lifecycle;
+  }
+
+  private finalize(lifecycle: Lifecycle) {
+    if (lifecycle.targets.size > 0) {
+      log.warn("RPC", `A ${lifecycle.name} was garbage collected without being disposed, releasing it now. Dispose it when done to release it immediately.`);
+    }
+    for (const target of this.forget(lifecycle)) {
+      // Swallow rejections: the external process may already be gone, in which case there is
+      // nothing left to release.
+      this.release(target).catch(() => { });
+    }
+  }
+
+  /** Unregisters the lifecycle's closures and returns its targets, which are no longer tracked. */
+  private forget(lifecycle: Lifecycle): string[] {
+    for (const target of lifecycle.closures) {
+      const closure = this.closureTargets.get(target);
+      this.closureTargets.delete(target);
+      if (closure !== undefined) {
+        this.cancelQueued(closure, "it was released.");
+      }
+    }
+    lifecycle.closures.clear();
+    const targets = [...lifecycle.targets];
+    lifecycle.targets.clear();
+    for (const target of targets) {
+      this.remoteTargets.delete(target);
+    }
+    return targets;
+  }
+
+  /* Diagnostics */
+
+  /** Lists the closures, remote targets and in-flight requests this connection keeps alive. */
+  liveObjects(): LiveObjects {
+    const owner = (lifecycle: Lifecycle): LiveObjectOwner => ({
+      type: lifecycle.name,
+      target: lifecycle.targets.values().next().value,
     });
+    const now = Date.now();
+    return {
+      closures: [...this.closureTargets].map(([target, closure]) => ({
+        target,
+        prefix: closure.prefix,
+        createdAt: closure.createdAt,
+        calls: closure.calls,
+        running: closure.running,
+        queued: closure.queue.length,
+        owner: owner(closure.lifecycle),
+      })),
+      targets: [...this.remoteTargets].map(([target, remote]) => ({
+        target,
+        type: remote.type,
+        createdAt: remote.createdAt,
+        owner: owner(remote.lifecycle),
+      })),
+      requests: [...this.responseHandlers].map(([id, handler]) => ({
+        id,
+        method: handler.context.method!,
+        target: handler.context.target,
+        age: now - handler.sentAt,
+      })),
+    };
   }
 
   /* Register locally available targets/actions */
 
+  /**
+   * Registers a handler the external process can perform as a closure, returns the target to pass
+   * to the external process.
+   *
+   * The handler may return a promise, the response is then sent once it settles and a rejection is
+   * reported back as an error response. With `concurrency` set, at most that many promises returned
+   * by the handler are pending at a time; further invocations wait for one to settle.
+   */
   registerClosure(options: {
     handler: ClosureTarget;
     lifecycle: Object;
     prefix: string;
+    concurrency?: number;
   }): string {
     const target = `target_${options.prefix}_${randomUUID()}`;
-    this.closureTargets.set(target, options.handler);
-
-    finalizationRegistry.register(options.lifecycle, () => {
-      this.closureTargets.delete(target);
+    const lifecycle = this.lifecycleOf(options.lifecycle);
+    this.closureTargets.set(target, {
+      handler: options.handler,
+      prefix: options.prefix,
+      lifecycle,
+      createdAt: new Date(),
+      calls: 0,
+      concurrency: options.concurrency ?? Infinity,
+      running: 0,
+      queue: [],
     });
+    lifecycle.closures.add(target);
 
     return target;
   }
+
+  /**
+   * Exposes a type the external process can initialize instances of and perform static methods on.
+   */
+  exposeType(type: string, definition: ExposedType) {
+    if (this.exposedTypes.has(type)) {
+      throw new Error(`RecordKit: [RPC] Type '${type}' is already exposed.`);
+    }
+    this.exposedTypes.set(type, definition);
+  }
+
+  /**
+   * Exposes an existing object the external process can perform methods on, returns the target to
+   * pass to the external process. The object is kept alive until the external process releases it.
+   */
+  exposeObject(object: object, options: { prefix: string }): string {
+    const target = `target_${options.prefix}_${randomUUID()}`;
+    this.exposedObjects.set(target, { object });
+    return target;
+  }
 }
@@ -0,0 +1,82 @@
+import { changedPermissions, ensurePermissions, PermissionName, Permissions, PermissionsChangedEvent, PermissionWatcher, toPermissionStatus } from './Permissions.js';
+
+describe('Permissions', () => {
+  const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+  const none: Permissions = {
+    camera: 'notDetermined',
+    microphone: 'notDetermined',
+    systemAudio: 'denied',
+    screen: 'denied',
+    inputMonitoring: 'denied',
+    accessibility: 'denied',
+  };
+
+  it('converts statuses and booleans to a uniform status', () => {
+    expect(toPermissionStatus('authorized')).toBe('granted');
+    expect(toPermissionStatus('restricted')).toBe('restricted');
+    expect(toPermissionStatus(true)).toBe('granted');
+    expect(toPermissionStatus(false)).toBe('denied');
+  });
+
+  it('lists changed permissions', () => {
+    expect(changedPermissions(none, { ...none })).toEqual([]);
+    expect(changedPermissions(none, { ...none, screen: 'granted', camera: 'denied' })).toEqual(['camera', 'screen']);
+  });
+
+  function access(initial: Permissions, grant: (name: PermissionName) => boolean) {
+    let permissions = initial;
+    const requested: PermissionName[] = [];
+    return {
+      requested,
+      check: async () => permissions,
+      request: async (name: PermissionName) => {
+        requested.push(name);
+        if (grant(name)) { permissions = { ...permissions, [name]: 'granted' }; }
+      },
+      requiresRestart: (name: PermissionName) => name === 'screen' || name === 'inputMonitoring' || name === 'accessibility',
+    };
+  }
+
+  it('requests missing permissions in-app prompts first', async () => {
+    const permissions = access(none, (name) => name === 'camera' || name === 'microphone');
+    const result = await ensurePermissions(permissions, ['screen', 'microphone', 'camera']);
+
+    expect(permissions.requested).toEqual(['camera', 'microphone', 'screen']);
+    expect(result).toEqual({
+      permissions: { ...none, camera: 'granted', microphone: 'granted' },
+      granted: false,
+      needsSystemSettings: ['screen'],
+      needsRestart: ['screen'],
+    });
+  });
+
+  it('skips granted permissions and does not ask again for denied ones', async () => {
+    const permissions = access({ ...none, camera: 'denied', microphone: 'granted' }, () => true);
+    const result = await ensurePermissions(permissions, ['camera', 'microphone', 'systemAudio']);
+
+    expect(permissions.requested).toEqual(['systemAudio']);
+    expect(result.granted).toBe(false);
+    expect(result.needsSystemSettings).toEqual(['camera']);
+    expect(result.needsRestart).toEqual([]);
+  });
+
+  it('reports when every permission is granted', async () => {
+    const permissions = access(none, () => true);
+    const result = await ensurePermissions(permissions, ['camera', 'accessibility']);
+
+    expect(result).toMatchObject({ granted: true, needsSystemSettings: [], needsRestart: [] });
+  });
+
+  it('watches for changes', async () => {
+    let permissions = none;
+    const events: PermissionsChangedEvent[] = [];
+    const watcher = new PermissionWatcher(async () => permissions, 5, { changed: (event) => { events.push(event); }, error: () => { } });
+    await watcher.start();
+    await wait(20);
+    permissions = { ...none, screen: 'granted' };
+    await wait(20);
+    watcher.stop();
+
+    expect(events).toEqual([{ permissions, previous: none, changed: ['screen'] }]);
+  });
+});
@@ -0,0 +1,179 @@
+import type { AuthorizationStatus } from './RecordKit.js'
+
+/**
+ * A permission RecordKit may need, see `recordkit.getPermissions()`.
+ *
+ * - `camera` and `microphone`: capture video and audio, the user is prompted within the app.
+ * - `systemAudio`: capture system audio.
+ * - `screen`: Screen Recording.
+ * - `inputMonitoring`: record keystrokes of other apps.
+ * - `accessibility`: control other apps, such as moving and resizing their windows.
+ *
+ * @group Permissions
+ */
+export type PermissionName = 'camera' | 'microphone' | 'systemAudio' | 'screen' | 'inputMonitoring' | 'accessibility'
+
+/**
+ * Status of a {@link PermissionName}.
+ *
+ * macOS only reports whether Screen Recording, Input Monitoring, Accessibility and system audio are
+ * granted, so these are `denied` until granted, also if the user was never asked.
+ *
+ * @group Permissions
+ */
+export type PermissionStatus = 'granted' | 'denied' | 'notDetermined' | 'restricted'
+
+/**
+ * Status of every permission, as returned by `recordkit.getPermissions()`.
+ *
+ * @group Permissions
+ */
+export type Permissions = Record<PermissionName, PermissionStatus>
+
+/**
+ * Outcome of `recordkit.ensurePermissions()`.
+ *
+ * @group Permissions
+ */
+export interface EnsurePermissionsResult {
+  /** Status of every permission afterwards. */
+  permissions: Permissions
+  /** Whether every requested permission is granted. */
+  granted: boolean
+  /**
+   * Permissions the user still has to allow in System Settings, because they were denied before or
+   * can only be granted there. Consider showing instructions to open the right pane.
+   */
+  needsSystemSettings: PermissionName[]
+  /** Permissions that will only be active after the app restarts, once allowed in System Settings. */
+  needsRestart: PermissionName[]
+}
+
+/**
+ * Payload of the `permissionsChanged` event.
+ *
+ * @group Permissions
+ */
+export interface PermissionsChangedEvent {
+  permissions: Permissions
+  previous: Permissions
+  /** The permissions whose status changed. */
+  changed: PermissionName[]
+}
+
+/** Order to request permissions in: in-app prompts first, then the ones that send the user to System Settings. */
+export const PERMISSION_ORDER: PermissionName[] = ['camera', 'microphone', 'systemAudio', 'screen', 'inputMonitoring', 'accessibility']
+
+/** Converts the status reported by the RecordKit process to a {@link PermissionStatus}. */
+export function toPermissionStatus(status: AuthorizationStatus | boolean): PermissionStatus {
+  if (typeof status === 'boolean') {
+    return status ? 'granted' : 'denied'
+  }
+  return status === 'authorized' ? 'granted' : status
+}
+
+/** Checks and requests single permissions in the RecordKit process. */
+export interface PermissionAccess {
+  check(): Promise<Permissions>
+  /** Requests the permission, resolves once the user answered an in-app prompt or System Settings was opened. */
+  request(name: PermissionName): Promise<unknown>
+  /** Whether the permission only becomes active after restarting the app. */
+  requiresRestart(name: PermissionName): boolean
+}
+
+/**
+ * Requests the missing permissions one by one in {@link PERMISSION_ORDER}, and reports which ones still
+ * need the user's attention.
+ */
+export async function ensurePermissions(access: PermissionAccess, names: PermissionName[]): Promise<EnsurePermissionsResult> {
+  const before = await access.check()
+  const needsSystemSettings: PermissionName[] = []
+  const needsRestart: PermissionName[] = []
+
+  for (const name of PERMISSION_ORDER.filter((name) => names.includes(name))) {
+    const status = before[name]
+    if (status === 'granted') {
+      continue
+    }
+    if (status === 'restricted' || (status === 'denied' && !access.requiresRestart(name) && name !== 'systemAudio')) {
+      // Asking again has no effect once the user made a choice, only System Settings can change it.
+      needsSystemSettings.push(name)
+      continue
+    }
+    await access.request(name)
+    if (access.requiresRestart(name)) {
+      needsRestart.push(name)
+    }
+  }
+
+  const permissions = await access.check()
+  for (const name of PERMISSION_ORDER.filter((name) => names.includes(name))) {
+    if (permissions[name] !== 'granted' && !needsSystemSettings.includes(name)) {
+      needsSystemSettings.push(name)
+    }
+  }
+  return {
+    permissions,
+    granted: names.every((name) => permissions[name] === 'granted'),
+    needsSystemSettings: PERMISSION_ORDER.filter((name) => needsSystemSettings.includes(name)),
+    needsRestart: needsRestart.filter((name) => permissions[name] !== 'granted'),
+  }
+}
+
+/** The permissions whose status differs. */
+export function changedPermissions(previous: Permissions, current: Permissions): PermissionName[] {
+  return PERMISSION_ORDER.filter((name) => previous[name] !== current[name])
+}
+
+/**
+ * Periodically checks the permissions and reports when any of them changed.
+ */
+export class PermissionWatcher {
+  private timer?: ReturnType<typeof setTimeout>
+  private stopped = false
+  private permissions?: Permissions
+
+  constructor(
+    private readonly check: () => Promise<Permissions>,
+    private readonly interval: number,
+    private readonly handlers: { changed(event: PermissionsChangedEvent): void, error(error: unknown): void }
+  ) { }
+
+  /** Takes the first snapshot to compare against and starts watching. */
+  async start() {
+    this.permissions = await this.check()
+    this.schedule()
+  }
+
+  stop() {
+    this.stopped = true
+    clearTimeout(this.timer)
+  }
+
+  private schedule() {
+    if (this.stopped) {
+      return
+    }
+    this.timer = setTimeout(() => { this.poll() }, this.interval)
+    // Don't keep the app running just to check permissions.
+    this.timer.unref?.()
+  }
+
+  private async poll() {
+    try {
+      const permissions = await this.check()
+      if (this.stopped) { return }
+
+      const previous = this.permissions!
+      this.permissions = permissions
+      const changed = changedPermissions(previous, permissions)
+      if (changed.length > 0) {
+        this.handlers.changed({ permissions, previous, changed })
+      }
+    } catch (error) {
+      if (this.stopped) { return }
+      this.handlers.error(error)
+    }
+    this.schedule()
+  }
+}
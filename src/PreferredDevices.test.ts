@@ -0,0 +1,34 @@
+import { resolveDevice } from './PreferredDevices.js';
+import type { Display, Microphone } from './RecordKit.js';
+
+describe('resolveDevice', () => {
+  const microphone = (id: string, availability: Microphone['availability'] = 'available') => ({ id, availability }) as Microphone;
+  const display = (id: number, isMain = false, availability: Display['availability'] = 'available') => ({ id, isMain, availability }) as Display;
+
+  it('picks the most-preferred available device', () => {
+    const usb = microphone('usb');
+    expect(resolveDevice(['headset', 'usb'], [microphone('built-in', 'lidClosed'), usb])).toEqual({
+      device: usb,
+      reason: 'preferred',
+      skipped: [{ id: 'headset', availability: 'notFound' }],
+    });
+  });
+
+  it('falls back to the system default, then the first available device', () => {
+    const main = display(1, true);
+    const external = display(2, false, 'notConnected');
+    expect(resolveDevice([2], [display(3), main, external], (display) => display.isMain)).toEqual({
+      device: main,
+      reason: 'systemDefault',
+      skipped: [{ id: 2, availability: 'notConnected' }],
+    });
+    expect(resolveDevice(['usb'], [microphone('usb', 'notConnected'), microphone('built-in')])).toMatchObject({
+      device: microphone('built-in'),
+      reason: 'firstAvailable',
+    });
+  });
+
+  it('returns undefined without available devices', () => {
+    expect(resolveDevice([], [microphone('built-in', 'lidClosed')])).toBeUndefined();
+  });
+});
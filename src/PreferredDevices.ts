@@ -0,0 +1,58 @@
+import type { AppleDevice, Camera, Display, Microphone } from './RecordKit.js'
+
+/**
+ * A device picked by `recordkit.resolvePreferredDevices()`, and why it was picked.
+ *
+ * - `preferred`: the most-preferred device from `recordkit.getUserPreferred()` that is available.
+ * - `systemDefault`: none of the preferred devices is available, so the system default was picked.
+ *   Only displays have a system default, the main display.
+ * - `firstAvailable`: neither a preferred device nor the system default is available, so the first
+ *   available device was picked.
+ *
+ * @group Preferred Devices
+ */
+export interface ResolvedDevice<Device> {
+  device: Device
+  reason: 'preferred' | 'systemDefault' | 'firstAvailable'
+  /** Preferred devices that were passed over, most-preferred first, with their `availability` or `notFound` if they're gone. */
+  skipped: { id: string | number, availability: string }[]
+}
+
+/**
+ * The devices to pre-select, as returned by `recordkit.resolvePreferredDevices()`. A device is
+ * `undefined` if none of its kind is available.
+ *
+ * @group Preferred Devices
+ */
+export interface ResolvedPreferredDevices {
+  microphone?: ResolvedDevice<Microphone>
+  camera?: ResolvedDevice<Camera>
+  display?: ResolvedDevice<Display>
+  appleDevice?: ResolvedDevice<AppleDevice>
+}
+
+/**
+ * Picks the first available device: the most-preferred one, then the system default, then the first
+ * one discovered.
+ */
+export function resolveDevice<Device extends { id: string | number, availability: string }>(
+  preferredIds: Device['id'][],
+  devices: Device[],
+  isSystemDefault: (device: Device) => boolean = () => false
+): ResolvedDevice<Device> | undefined {
+  const skipped: ResolvedDevice<Device>['skipped'] = []
+  for (const id of preferredIds) {
+    const device = devices.find((device) => device.id === id)
+    if (device?.availability === 'available') {
+      return { device, reason: 'preferred', skipped }
+    }
+    skipped.push({ id, availability: device?.availability ?? 'notFound' })
+  }
+
+  const available = devices.filter((device) => device.availability === 'available')
+  const systemDefault = available.find(isSystemDefault)
+  if (systemDefault !== undefined) {
+    return { device: systemDefault, reason: 'systemDefault', skipped }
+  }
+  return available.length > 0 ? { device: available[0], reason: 'firstAvailable', skipped } : undefined
+}
@@ -0,0 +1,46 @@
+import { deviceReferences, requiredPermissions, systemAudioBackends, unavailableDevices } from './Preflight.js';
+import type { RecorderSchemaItem } from './Recorder.js';
+import type { Camera, Display, Microphone } from './RecordKit.js';
+
+describe('Preflight', () => {
+  const camera = { id: 'facetime', availability: 'available' } as Camera;
+  const microphone = { id: 'built-in', availability: 'lidClosed' } as Microphone;
+  const display = { id: 1, availability: 'available' } as Display;
+
+  it('derives the permissions from the schema items', () => {
+    expect(requiredPermissions([
+      { type: 'display', display: 1, keyboard_events: true },
+      { type: 'webcam', camera: 'facetime', microphone: 'built-in' },
+    ])).toEqual(['camera', 'microphone', 'screen', 'inputMonitoring']);
+    expect(requiredPermissions([{ type: 'display', display: 1 }])).toEqual(['screen']);
+    expect(requiredPermissions([{ type: 'systemAudio', mode: 'exclude' }])).toEqual(['systemAudio']);
+    expect(requiredPermissions([{ type: 'systemAudio', mode: 'exclude', backend: 'screenCaptureKit' }])).toEqual(['screen']);
+    expect(requiredPermissions([{ type: 'appleDevice', device: 'iphone' }])).toEqual([]);
+  });
+
+  it('lists the system audio backends to check', () => {
+    expect(systemAudioBackends([
+      { type: 'systemAudio', mode: 'exclude', backend: 'coreAudio' },
+      { type: 'applicationAudio', applicationID: 42 },
+      { type: 'systemAudio', mode: 'include', backend: 'screenCaptureKit' },
+      { type: 'applicationAudio', applicationID: 43, backend: 'coreAudio' },
+    ])).toEqual(['coreAudio', 'default']);
+  });
+
+  it('finds devices that are missing or unavailable', () => {
+    const items: RecorderSchemaItem[] = [
+      { type: 'webcam', camera, microphone: 'built-in' },
+      { type: 'display', display: 2 },
+      { type: 'systemAudio', mode: 'exclude' },
+      { type: 'windowBasedCrop', window: 42 },
+    ];
+    const references = deviceReferences(items);
+    expect(references.map((reference) => reference.kind)).toEqual(['camera', 'microphone', 'display', 'window']);
+
+    expect(unavailableDevices(references, { cameras: [camera], microphones: [microphone], displays: [display], windows: [] })).toEqual([
+      { item: 0, kind: 'microphone', id: 'built-in', reason: 'lidClosed' },
+      { item: 1, kind: 'display', id: 2, reason: 'notFound' },
+      { item: 3, kind: 'window', id: 42, reason: 'notFound' },
+    ]);
+  });
+});
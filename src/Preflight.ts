@@ -0,0 +1,149 @@
+import { PERMISSION_ORDER } from './Permissions.js'
+import type { PermissionName } from './Permissions.js'
+import type { RecorderSchemaItem } from './Recorder.js'
+import type { AppleDevice, Camera, Display, Microphone, RunningApplication, SystemAudioPermissionBackend, Window } from './RecordKit.js'
+
+/**
+ * A device, window or application a recorder schema item records that can't be recorded right now.
+ *
+ * @group Recording
+ */
+export interface UnavailableDevice {
+  /** Index of the schema item in `items`. */
+  item: number
+  kind: 'camera' | 'microphone' | 'display' | 'window' | 'appleDevice' | 'application'
+  /** The `id` the schema item refers to. */
+  id: string | number
+  /**
+   * Why it can't be recorded: `notFound` if RecordKit doesn't know it, for example because the camera
+   * was unplugged or the window closed, otherwise its current `availability`, such as `lidClosed`.
+   */
+  reason: 'notFound' | Exclude<(Camera | Microphone | Display | AppleDevice | RunningApplication)['availability'], 'available'>
+}
+
+/**
+ * Outcome of `recordkit.preflight()`.
+ *
+ * @group Recording
+ */
+export interface PreflightResult {
+  /** Whether the recorder can be created and started, as far as permissions and devices go. */
+  ready: boolean
+  /** The permissions the schema needs that aren't granted, ready to pass to `recordkit.ensurePermissions()`. */
+  missingPermissions: PermissionName[]
+  unavailableDevices: UnavailableDevice[]
+}
+
+/** The devices, windows and applications known to RecordKit, only the kinds a schema refers to are needed. */
+export interface PreflightDevices {
+  cameras?: Camera[]
+  microphones?: Microphone[]
+  displays?: Display[]
+  windows?: Window[]
+  appleDevices?: AppleDevice[]
+  applications?: RunningApplication[]
+}
+
+interface DeviceReference {
+  item: number
+  kind: UnavailableDevice['kind']
+  id: string | number
+}
+
+const idOf = <Id>(value: Id | { id: Id }): Id => typeof value === 'object' && value !== null ? (value as { id: Id }).id : value as Id
+
+/** The permissions needed to record the schema items, in the order to request them in. */
+export function requiredPermissions(items: RecorderSchemaItem[]): PermissionName[] {
+  const required = new Set<PermissionName>()
+  for (const item of items) {
+    switch (item.type) {
+      case 'webcam':
+        required.add('camera')
+        required.add('microphone')
+        break
+      case 'microphone':
+        required.add('microphone')
+        break
+      case 'display':
+      case 'windowBasedCrop':
+      case 'desktopIndependentWindow':
+        required.add('screen')
+        if (item.mouse_events || item.keyboard_events) {
+          required.add('inputMonitoring')
+        }
+        break
+      case 'systemAudio':
+      case 'applicationAudio':
+        // ScreenCaptureKit captures audio under the Screen Recording permission.
+        required.add(item.backend === 'screenCaptureKit' ? 'screen' : 'systemAudio')
+        break
+      case 'appleDevice':
+      case 'appleDeviceStaticOrientation':
+        break
+    }
+  }
+  return PERMISSION_ORDER.filter((permission) => required.has(permission))
+}
+
+/**
+ * The backends to check the system audio permission for, one for every backend the schema items record
+ * system or application audio with, except ScreenCaptureKit which needs Screen Recording instead.
+ */
+export function systemAudioBackends(items: RecorderSchemaItem[]): SystemAudioPermissionBackend[] {
+  const backends = new Set<SystemAudioPermissionBackend>()
+  for (const item of items) {
+    if ((item.type === 'systemAudio' || item.type === 'applicationAudio') && item.backend !== 'screenCaptureKit') {
+      backends.add(item.backend ?? 'default')
+    }
+  }
+  return [...backends]
+}
+
+/** The devices, windows and applications the schema items record. */
+export function deviceReferences(items: RecorderSchemaItem[]): DeviceReference[] {
+  return items.flatMap((item, index): DeviceReference[] => {
+    switch (item.type) {
+      case 'webcam':
+        return [
+          { item: index, kind: 'camera', id: idOf(item.camera) },
+          { item: index, kind: 'microphone', id: idOf(item.microphone) },
+        ]
+      case 'microphone':
+        return [{ item: index, kind: 'microphone', id: idOf(item.microphone) }]
+      case 'display':
+        return [{ item: index, kind: 'display', id: idOf(item.display) }]
+      case 'windowBasedCrop':
+      case 'desktopIndependentWindow':
+        return [{ item: index, kind: 'window', id: idOf(item.window) }]
+      case 'appleDevice':
+      case 'appleDeviceStaticOrientation':
+        return [{ item: index, kind: 'appleDevice', id: idOf(item.device) }]
+      case 'applicationAudio':
+        return [{ item: index, kind: 'application', id: item.applicationID }]
+      case 'systemAudio':
+        return []
+    }
+  })
+}
+
+/** The referenced devices, windows and applications that are missing or not available. */
+export function unavailableDevices(references: DeviceReference[], devices: PreflightDevices): UnavailableDevice[] {
+  const lists: Record<UnavailableDevice['kind'], { id: string | number, availability?: string }[] | undefined> = {
+    camera: devices.cameras,
+    microphone: devices.microphones,
+    display: devices.displays,
+    window: devices.windows,
+    appleDevice: devices.appleDevices,
+    application: devices.applications,
+  }
+  return references.flatMap((reference): UnavailableDevice[] => {
+    const device = lists[reference.kind]?.find((device) => device.id === reference.id)
+    if (device === undefined) {
+      return [{ ...reference, reason: 'notFound' }]
+    }
+    if (device.availability !== undefined && device.availability !== 'available') {
+      return [{ ...reference, reason: device.availability as UnavailableDevice['reason'] }]
+    }
+    return []
+  })
+}
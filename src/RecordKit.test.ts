@@ -0,0 +1,265 @@
+import { InMemoryTransport } from './Transport.js';
+import { RecordKit } from './RecordKit.js';
+import { RPCConnectionLostError } from './Errors.js';
+import { configureLogging } from './Logger.js';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gunzipSync } from 'node:zlib';
+
+// A fake RecordKit process on the other end of an in-memory transport, answering every request with
+// the result `results` holds for its action, and rejecting the `unknownActions` like an older binary.
+async function fakeProcess(results: Record<string, unknown> = {}, unknownActions: string[] = []) {
+  const [client, server] = InMemoryTransport.pair();
+  const requests: any[] = [];
+  const state = { client, server, requests, closed: false };
+  await server.start({
+    message: (data) => {
+      const request = JSON.parse(data);
+      if (request.procedure === undefined) return;
+      requests.push(request);
+      if (unknownActions.includes(request.action)) {
+        server.send(JSON.stringify({ nsrpc: 1, id: request.id, status: 404, error: { debugDescription: `Unknown action ${request.action}`, userMessage: 'Unknown action' } }));
+        return;
+      }
+      server.send(JSON.stringify({ nsrpc: 1, id: request.id, status: 200, result: results[request.action] }));
+    },
+    close: () => { state.closed = true; },
+  });
+  return state;
+}
+
+function nextEvent(recordkit: RecordKit, event: 'processExit' | 'processRestart'): Promise<any> {
+  return new Promise((resolve) => recordkit.once(event as any, resolve));
+}
+
+describe('RecordKit', () => {
+  beforeEach(() => { jest.spyOn(console, 'error').mockImplementation(() => { }); });
+  afterEach(() => { jest.restoreAllMocks(); });
+
+  describe('supervisor', () => {
+    it('restarts the process and restores the log handler and log levels', async () => {
+      const processes = [await fakeProcess(), await fakeProcess({ getWindows: [] })];
+      const transports = processes.map((process) => process.client);
+      const recordkit = new RecordKit();
+      await recordkit.initialize({ transport: () => transports.shift()!, logLevel: 'info', supervise: { initialDelay: 1 } });
+      await recordkit.setCategoryLogLevel({ category: 'Recorder', logLevel: 'trace' });
+      const recorder = await recordkit.createRecorder({ items: [] });
+
+      const exited = nextEvent(recordkit, 'processExit');
+      const restarted = nextEvent(recordkit, 'processRestart');
+      await processes[0].server.close();
+      await expect(exited).resolves.toBeInstanceOf(RPCConnectionLostError);
+      await expect(restarted).resolves.toEqual({ attempt: 1 });
+
+      expect(processes[1].requests.map((r) => [r.action, r.params?.logLevel])).toEqual([
+        ['handshake', undefined], ['setLogHandler', undefined], ['setLogLevel', 'info'], ['setLogLevel', 'trace'],
+      ]);
+      await expect(recordkit.getWindows()).resolves.toEqual([]);
+      expect(recorder.isDead).toBe(true);
+      await expect(recorder.start()).rejects.toBeInstanceOf(RPCConnectionLostError);
+    });
+
+    it('keeps the transcript of the lost connection when restarting', async () => {
+      const directory = mkdtempSync(join(tmpdir(), 'recordkit-'));
+      try {
+        const processes = [await fakeProcess(), await fakeProcess()];
+        const transports = processes.map((process) => process.client);
+        const recordkit = new RecordKit();
+        const path = join(directory, 'transcript.jsonl');
+        await recordkit.initialize({ transport: () => transports.shift()!, recordTranscript: path, supervise: { initialDelay: 1 } });
+
+        const restarted = nextEvent(recordkit, 'processRestart');
+        await processes[0].server.close();
+        await restarted;
+        await recordkit.shutdown();
+
+        const actions = readFileSync(path, 'utf8').trim().split('\n').map((line) => JSON.parse(line).message.action);
+        expect(actions.filter((action) => action === 'handshake')).toHaveLength(2);
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('gives up after the maximum number of restarts', async () => {
+      const first = await fakeProcess();
+      let created = 0;
+      const recordkit = new RecordKit();
+      await recordkit.initialize({
+        transport: () => {
+          created += 1;
+          if (created === 1) return first.client;
+          const [client] = InMemoryTransport.pair();
+          void client.close(); // a process that dies immediately
+          return client;
+        },
+        supervise: { maxRestarts: 2, initialDelay: 1 },
+      });
+
+      await first.server.close();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(created).toBe(3);
+      await expect(recordkit.getWindows()).rejects.toBeInstanceOf(RPCConnectionLostError);
+    });
+
+    it("doesn't restart the process of a previous initialization", async () => {
+      const processes = [await fakeProcess(), await fakeProcess({ getWindows: [] })];
+      const created = [0, 0];
+      const factory = (index: number) => () => { created[index] += 1; return processes[index].client; };
+      const recordkit = new RecordKit();
+      await recordkit.initialize({ transport: factory(0), supervise: { initialDelay: 20 } });
+
+      const exited = nextEvent(recordkit, 'processExit');
+      await processes[0].server.close();
+      await exited;
+      // Shut down and initialize again while the supervisor waits to restart.
+      await recordkit.shutdown();
+      await recordkit.initialize({ transport: factory(1), supervise: true });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(created).toEqual([1, 1]);
+      await expect(recordkit.getWindows()).resolves.toEqual([]);
+      await recordkit.shutdown();
+    });
+
+    it('can be initialized again after failing to connect', async () => {
+      const [failing] = InMemoryTransport.pair();
+      await failing.close(); // a process that dies before the handshake
+      const recordkit = new RecordKit();
+      await expect(recordkit.initialize({ transport: failing, requestTimeout: 100 })).rejects.toThrow();
+
+      const fake = await fakeProcess({ getWindows: [] });
+      await recordkit.initialize({ transport: fake.client });
+      await expect(recordkit.getWindows()).resolves.toEqual([]);
+    });
+
+    it('requires a transport factory', async () => {
+      const { client } = await fakeProcess();
+      await expect(new RecordKit().initialize({ transport: client, supervise: true })).rejects.toThrow('Supervising requires');
+    });
+  });
+
+  describe('shutdown', () => {
+    it('stops recording recorders, releases all recorders and closes the connection', async () => {
+      const result = { url: '/tmp/recording.recordkit', info: { version: 1, duration: 1, files: [] } };
+      const fake = await fakeProcess({ stop: result });
+      const recordkit = new RecordKit();
+      await recordkit.initialize({ transport: fake.client });
+      const recording = await recordkit.createRecorder({ items: [] });
+      await recording.start();
+      await recordkit.createRecorder({ items: [] });
+      const exitListener = jest.fn();
+      recordkit.on('processExit', exitListener);
+
+      await expect(recordkit.shutdown()).resolves.toEqual([result]);
+      const procedures = fake.requests.slice(-3).map((r) => r.action ?? r.procedure);
+      expect(procedures.sort()).toEqual(['manual-release', 'manual-release', 'stop']);
+      expect(fake.closed).toBe(true);
+      expect(exitListener).not.toHaveBeenCalled();
+      await expect(recordkit.getWindows()).rejects.toThrow('RecordKit is shut down');
+    });
+  });
+
+  describe('recorder disposal', () => {
+    it('releases the recorder immediately when disposed', async () => {
+      const fake = await fakeProcess();
+      const recordkit = new RecordKit();
+      await recordkit.initialize({ transport: fake.client });
+      const recorder = await recordkit.createRecorder({ items: [] });
+      await recorder.dispose();
+      await recorder.dispose();
+      expect(fake.requests.slice(-2).map((r) => r.procedure)).toEqual(['init', 'release']);
+    });
+  });
+
+  describe('camera formats', () => {
+    it('lists no formats when the binary predates listing them', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => { });
+      const fake = await fakeProcess({}, ['cameraFormats']);
+      const recordkit = new RecordKit();
+      await recordkit.initialize({ transport: fake.client });
+      await expect(recordkit.getCameraFormats('camera')).resolves.toEqual([]);
+      await recordkit.shutdown();
+    });
+  });
+
+  describe('preflight', () => {
+    it('checks system audio access for the backend of the schema item', async () => {
+      const fake = await fakeProcess({ getCameraAuthorizationStatus: 'authorized', getSystemAudioRecordingAccess: false });
+      const recordkit = new RecordKit();
+      await recordkit.initialize({ transport: fake.client });
+
+      const result = await recordkit.preflight({ items: [{ type: 'systemAudio', mode: 'exclude', backend: 'coreAudio' }] });
+      expect(result).toEqual({ ready: false, missingPermissions: ['systemAudio'], unavailableDevices: [] });
+      const backends = fake.requests.filter((r) => r.action === 'getSystemAudioRecordingAccess').map((r) => r.params.backend);
+      expect(backends).toContain('coreAudio');
+      await recordkit.shutdown();
+    });
+  });
+
+  describe('diagnostics', () => {
+    let directory: string;
+    beforeEach(() => { directory = mkdtempSync(join(tmpdir(), 'recordkit-')); });
+    afterEach(() => {
+      configureLogging({});
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('exports logs, devices, permissions and the transcript tail', async () => {
+      const fake = await fakeProcess({ getDisplays: [{ id: 1 }], getCameraAuthorizationStatus: 'authorized' });
+      const recordkit = new RecordKit();
+      await recordkit.initialize({
+        transport: fake.client,
+        logger: () => { },
+        logFile: join(directory, 'recordkit.log'),
+        recordTranscript: join(directory, 'transcript.jsonl'),
+      });
+      const { logHandlerInstance } = fake.requests.find((r) => r.action === 'setLogHandler').params;
+      fake.server.send(JSON.stringify({
+        nsrpc: 1, id: 'req_log', procedure: 'perform', target: logHandlerInstance,
+        params: { timestamp: 1, level: 'error', category: 'Camera', message: 'Camera is in use', metadata: {}, formattedMessage: '' },
+      }));
+
+      const path = join(directory, 'diagnostics.json.gz');
+      await recordkit.exportDiagnostics(path);
+      const bundle = JSON.parse(gunzipSync(readFileSync(path)).toString());
+      expect(bundle.versions).toMatchObject({ package: expect.any(String), protocol: 1, node: process.versions.node });
+      expect(bundle.displays).toEqual({ value: [{ id: 1 }] });
+      expect(bundle.permissions.camera).toEqual({ value: 'authorized' });
+      expect(bundle.logs).toEqual([expect.objectContaining({ source: 'native', category: 'Camera', message: 'Camera is in use' })]);
+      expect(bundle.transcript.map((entry: any) => entry.message.action)).toContain('setLogHandler');
+      expect(recordkit.getRecentLogs({ level: 'warning' })).toEqual([expect.objectContaining({ message: 'Camera is in use' })]);
+      expect(recordkit.getLogCategories()).toEqual(['Camera']);
+    });
+
+    it('waits for the queries to a hung process at the same time', async () => {
+      const [client, server] = InMemoryTransport.pair();
+      await server.start({
+        message: (data) => {
+          const request = JSON.parse(data);
+          // Only finish connecting, then hang.
+          if (request.action === 'handshake' || request.action === 'setLogHandler') {
+            server.send(JSON.stringify({ nsrpc: 1, id: request.id, status: 200 }));
+          }
+        },
+        close: () => { },
+      });
+      const recordkit = new RecordKit();
+      await recordkit.initialize({ transport: client });
+
+      const startedAt = Date.now();
+      await recordkit.exportDiagnostics(join(directory, 'diagnostics.json.gz'), { timeout: 200 });
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      await recordkit.shutdown();
+    });
+
+    it('includes failed queries with their error', async () => {
+      const recordkit = new RecordKit();
+      const path = join(directory, 'diagnostics.json.gz');
+      await recordkit.exportDiagnostics(path);
+      const bundle = JSON.parse(gunzipSync(readFileSync(path)).toString());
+      expect(bundle.cameras).toEqual({ error: expect.stringContaining('Not initialized') });
+      expect(bundle.logs).toEqual([]);
+    });
+  });
+});
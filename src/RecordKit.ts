@@ -1,6 +1,32 @@
 import { IpcRecordKit } from "./IpcRecordKit.js";
+import type { ExposedType, LiveObjects, NSRPC, RequestOptions } from "./NonstrictRPC.js";
+import { RPCError } from "./Errors.js";
+import type { RPCConnectionLostError } from "./Errors.js";
+import type { MetricsSnapshot, RPCTracer } from "./Metrics.js";
+import { configureLogging, currentLogFile, log, logNative, nativeEntry } from "./Logger.js";
+import type { LogFunction, StructuredLogger } from "./Logger.js";
+import { RotatingLogFile } from "./LogFile.js";
+import type { LogFileOptions } from "./LogFile.js";
+import { LogBuffer } from "./LogBuffer.js";
+import type { LogQuery } from "./LogBuffer.js";
+import { describeBinary, readTranscriptTail, settle, versions, writeDiagnostics } from "./Diagnostics.js";
+import type { DiagnosticsBundle } from "./Diagnostics.js";
+import { DeviceWatcher } from "./DeviceWatcher.js";
+import type { DevicesChangedEvent, DeviceWatchOptions } from "./DeviceWatcher.js";
+import { findWindows } from "./WindowQuery.js";
+import { displayForBounds } from "./Geometry.js";
+import type { WindowDetails, WindowQuery } from "./WindowQuery.js";
+import { WindowWatcher } from "./WindowWatcher.js";
+import { IconCache } from "./IconCache.js";
+import { ensurePermissions, PermissionWatcher, toPermissionStatus } from "./Permissions.js";
+import type { EnsurePermissionsResult, PermissionName, Permissions, PermissionsChangedEvent } from "./Permissions.js";
+import { deviceReferences, requiredPermissions, systemAudioBackends, unavailableDevices } from "./Preflight.js";
+import type { PreflightResult } from "./Preflight.js";
+import { resolveDevice } from "./PreferredDevices.js";
+import type { ResolvedPreferredDevices } from "./PreferredDevices.js";
 import { Recorder, RecorderSchemaItem } from "./Recorder.js";
-import type { SystemAudioBackend, RecorderSettings, Size } from "./Recorder.js";
+import type { SystemAudioBackend, RecorderSettings, RecordingResult, Size } from "./Recorder.js";
+import type { RPCTransport } from "./Transport.js";
 import { EventEmitter } from "events";
 import { existsSync } from "node:fs";
 
@@ -49,23 +75,100 @@ function applicationIdOf(application: RunningApplication | number): number {
  *
  * @groupDescription Device Control
  * Configure capture devices, such as selecting a camera's active format or fetching an application's icon.
+ *
+ * @groupDescription Native Bridge
+ * Expose your own types and objects to the RecordKit process, so native code can call into your app.
+ *
+ * @groupDescription Lifecycle
+ * Shut down RecordKit when your app quits.
+ *
+ * @groupDescription Diagnostics
+ * Inspect RecordKit's internals to troubleshoot leaks and hangs.
  */
 export class RecordKit extends EventEmitter {
   private ipcRecordKit = new IpcRecordKit()
+  /** Log levels to restore when the RecordKit process is restarted. */
+  private logLevel?: LogLevel
+  private categoryLogLevels = new Map<string, LogLevel>()
+  /** Exposed types to restore when the RecordKit process is restarted. */
+  private exposedTypes = new Map<string, ExposedType>()
+  /** Recorders created since initialization, to stop them on shutdown. */
+  private recorders = new Set<WeakRef<Recorder>>()
+  /** Where the binary and transcript are, to include them in diagnostics. */
+  private rpcBinaryPath?: string
+  private transcriptPath?: string
+  /** The most recent log messages of the RecordKit process, see {@link getRecentLogs}. */
+  private logBuffer = new LogBuffer(1000)
+  private deviceWatcher?: DeviceWatcher
+  private permissionWatcher?: PermissionWatcher
+  private windowWatchers = new Set<WindowWatcher>()
 
   /** @ignore */
   constructor() {
     super()
   }
 
+  /**
+   * Cached application icons, fetched in as few calls to the RecordKit process as possible. See {@link IconCache}.
+   *
+   * @group Device Control
+   */
+  readonly icons = new IconCache({
+    batch: async (applications) => {
+      const result = await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getApplicationIcons', params: { applications } }) as { icons: Record<string, string> }
+      return result.icons
+    },
+    single: (application) => this.getApplicationIcon(application),
+  })
+
+  /**
+   * Diagnostics to troubleshoot RecordKit, for example memory and handle growth in long-running sessions.
+   *
+   * @group Diagnostics
+   */
+  readonly debug = {
+    /**
+     * Lists every callback the RecordKit process can call with its prefix, creation time, call count
+     * and owning recorder, every object initialized in the RecordKit process that hasn't been released
+     * and every call that is still waiting for a response.
+     *
+     * @example
+     * ```ts
+     * const { closures } = recordkit.debug.liveObjects()
+     * console.table(closures.map(({ prefix, calls, owner }) => ({ prefix, calls, owner: owner.target })))
+     * ```
+     */
+    liveObjects: (): LiveObjects => this.ipcRecordKit.nsrpc.liveObjects(),
+
+    /**
+     * Latency histograms and error rates of calls to the RecordKit process per method, the number and
+     * cost of callbacks from the RecordKit process per kind, such as audio buffer callbacks, and the
+     * number of bytes and messages sent and received since initialization or the last reset.
+     *
+     * @example
+     * ```ts
+     * const { closures } = recordkit.debug.metrics()
+     * console.log(closures['MicrophoneStream.onAudioBuffer']?.duration.p95)
+     * ```
+     */
+    metrics: (): MetricsSnapshot => this.ipcRecordKit.metrics.snapshot(),
+
+    /** Resets all metrics to zero. */
+    resetMetrics: (): void => { this.ipcRecordKit.metrics.reset() },
+  }
+
   /**
    * Initialize the RecordKit SDK.
    * 
    * ⚠️ Must be called before calling any other RecordKit method.
    * 
+   * Rejects with a {@link RPCProtocolVersionError} if the `recordkit-rpc` binary speaks a protocol
+   * version this package does not support, which happens when the binary and package are from
+   * different releases.
+   *
    * @param args 
    */
-  async initialize(args: {
+  async initialize(args: ({
     /**
      * Path to the `recordkit-rpc` binary, most of the time this should be set to `path.join(process.resourcesPath, 'recordkit-rpc')`.
      */
@@ -74,38 +177,145 @@ export class RecordKit extends EventEmitter {
      * Whether to fallback to the RPC binary from `node_modules` if the given path does not exist. When enabled an extra check to see if the given path exists is performed. Most of the time this should be set to `!app.isPackaged`.
      */
     fallbackToNodeModules?: boolean,
+  } | {
+    /**
+     * Connection to a RecordKit process to use instead of spawning the `recordkit-rpc` binary, for example a {@link SocketTransport} or an {@link InMemoryTransport} in tests.
+     *
+     * Pass a function that creates the transport to be able to use `supervise`.
+     */
+    transport: RPCTransport | (() => RPCTransport),
+  }) & {
     /**
      * Set the global log level. Defaults to `debug`. 
      * 
      * This is the same as calling `setLogLevel` right after initialization.
      */
     logLevel?: LogLevel,
+    /**
+     * Default time in milliseconds to wait for any call to the RecordKit process before rejecting with a {@link RPCTimeoutError}. Defaults to no timeout.
+     *
+     * Individual calls can override this by passing {@link RequestOptions} as their last argument.
+     */
+    requestTimeout?: number,
+    /**
+     * Path of a file to write a transcript of all communication with the RecordKit process to, replacing the file if it exists.
+     *
+     * Replay the transcript with a {@link ReplayTransport} to exercise RecordKit without the `recordkit-rpc` binary, for example in tests on CI.
+     */
+    recordTranscript?: string,
+    /**
+     * Restart the RecordKit process when it exits unexpectedly, waiting longer between every
+     * consecutive restart. Pass `true` to use the default {@link SupervisorOptions}. Defaults to `false`.
+     *
+     * The log handler, log levels and exposed types are restored on the new process and
+     * `processRestart` is emitted once it is ready. Objects created before the process exited, like
+     * recorders, can't be restored and fail with a {@link RPCConnectionLostError}.
+     */
+    supervise?: boolean | SupervisorOptions,
+    /**
+     * Periodically ping the RecordKit process to detect when it is alive but no longer responding.
+     * Pass `true` to use the default {@link HeartbeatOptions}. Defaults to `false`.
+     *
+     * Emits `heartbeat` with the round-trip latency of every ping, and `unresponsive` and `recovered`
+     * when the process stops and starts answering again.
+     */
+    heartbeat?: boolean | HeartbeatOptions,
+    /**
+     * Creates a span for every call to and from the RecordKit process, for example an OpenTelemetry tracer.
+     *
+     * Metrics are always collected, see `recordkit.debug.metrics()`.
+     */
+    tracer?: RPCTracer,
+    /**
+     * Receives all log output: log messages of the RecordKit process with their category and
+     * metadata, lines it writes to stderr and warnings of this package. Either a function receiving
+     * every {@link LogEntry} or a structured logger like pino, see {@link StructuredLogger}.
+     *
+     * When set, nothing is written to the console unless `console` is `true`.
+     */
+    logger?: LogFunction | StructuredLogger,
+    /**
+     * Write log output to the console. Defaults to `true` without a `logger` and `false` with one.
+     */
+    console?: boolean,
+    /**
+     * Write all log output as JSON lines to a file, rotating it when it gets too large. Pass a path
+     * to use the default {@link LogFileOptions}.
+     *
+     * The most recent entries are included in {@link exportDiagnostics}.
+     */
+    logFile?: string | LogFileOptions,
+    /**
+     * Number of log messages of the RecordKit process to keep in memory for {@link getRecentLogs}. Defaults to `1000`.
+     */
+    logBufferSize?: number,
     /** @ignore */
     logRpcMessages?: boolean
   }): Promise<void> {
-    let rpcBinaryPath = args.rpcBinaryPath
-    if (args.fallbackToNodeModules ?? true) {
-      if (!existsSync(rpcBinaryPath)) {
-        rpcBinaryPath = rpcBinaryPath.replace('node_modules/electron/dist/Electron.app/Contents/Resources', 'node_modules/@nonstrict/recordkit/bin')
-        console.error(`RecordKit: [RPC] !! Falling back to RPC binary from node_modules at ${rpcBinaryPath}`)
-      }
+    const logFile = typeof args.logFile === 'string' ? { path: args.logFile } : args.logFile
+    configureLogging({ logger: args.logger, console: args.console, file: logFile && new RotatingLogFile(logFile) })
+    this.logLevel = args.logLevel
+    this.transcriptPath = args.recordTranscript
+    if (args.logBufferSize !== undefined && args.logBufferSize !== this.logBuffer.capacity) {
+      this.logBuffer = new LogBuffer(args.logBufferSize)
+    }
+    const options = {
+      logMessages: args.logRpcMessages,
+      transcriptPath: args.recordTranscript,
+      defaultTimeout: args.requestTimeout,
+      supervise: args.supervise === true ? {} : (args.supervise || undefined),
+      setUp: (nsrpc: NSRPC) => this.setUpConnection(nsrpc),
+      onExit: (error: Error) => { this.emit('processExit', error) },
+      onRestart: (attempt: number) => { this.emit('processRestart', { attempt }) },
+      tracer: args.tracer,
+      heartbeat: args.heartbeat ? {
+        ...(args.heartbeat === true ? {} : args.heartbeat),
+        handlers: {
+          heartbeat: (latency: number) => { this.emit('heartbeat', { latency }) },
+          unresponsive: (missed: number) => { this.emit('unresponsive', { missed }) },
+          recovered: (latency: number, unresponsiveFor: number) => { this.emit('recovered', { latency, unresponsiveFor }) },
+        },
+      } : undefined,
     }
 
-    await this.ipcRecordKit.initialize(rpcBinaryPath, args.logRpcMessages)
+    if ('transport' in args) {
+      await this.ipcRecordKit.connect(args.transport, options)
+    } else {
+      let rpcBinaryPath = args.rpcBinaryPath
+      if (args.fallbackToNodeModules ?? true) {
+        if (!existsSync(rpcBinaryPath)) {
+          rpcBinaryPath = rpcBinaryPath.replace('node_modules/electron/dist/Electron.app/Contents/Resources', 'node_modules/@nonstrict/recordkit/bin')
+          log.warn('RPC', `Falling back to RPC binary from node_modules at ${rpcBinaryPath}`)
+        }
+      }
+
+      this.rpcBinaryPath = rpcBinaryPath
+      await this.ipcRecordKit.initialize(rpcBinaryPath, options)
+    }
+  }
 
-    const logHandlerInstance = this.ipcRecordKit.nsrpc.registerClosure({
+  /** Sets up logging and exposed types on a new connection to the RecordKit process. */
+  private async setUpConnection(nsrpc: NSRPC) {
+    const logHandlerInstance = nsrpc.registerClosure({
       handler: (params) => {
         const message = params as unknown as LogMessage
-        console.log('RecordKit:', message.formattedMessage)
+        this.logBuffer.push(message)
+        logNative(message)
         this.emit('log', message)
       },
       prefix: 'RecordKit.logHandler',
       lifecycle: this
     })
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Logger', action: 'setLogHandler', params: { logHandlerInstance } })
+    await nsrpc.perform({ type: 'Logger', action: 'setLogHandler', params: { logHandlerInstance } })
 
-    if (args.logLevel) {
-      await this.setLogLevel(args.logLevel)
+    if (this.logLevel) {
+      await nsrpc.perform({ type: 'Logger', action: 'setLogLevel', params: { logLevel: this.logLevel } })
+    }
+    for (const [category, logLevel] of this.categoryLogLevels) {
+      await nsrpc.perform({ type: 'Logger', action: 'setLogLevel', params: { category, logLevel } })
+    }
+    for (const [type, definition] of this.exposedTypes) {
+      nsrpc.exposeType(type, definition)
     }
   }
 
@@ -116,8 +326,9 @@ export class RecordKit extends EventEmitter {
    *
    * @group Logging
    */
-  async setLogLevel(logLevel: LogLevel): Promise<void> {
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Logger', action: 'setLogLevel', params: { logLevel } })
+  async setLogLevel(logLevel: LogLevel, options?: RequestOptions): Promise<void> {
+    await this.ipcRecordKit.nsrpc.perform({ type: 'Logger', action: 'setLogLevel', params: { logLevel } }, options)
+    this.logLevel = logLevel
   }
 
   /**
@@ -127,8 +338,40 @@ export class RecordKit extends EventEmitter {
    *
    * @group Logging
    */
-  async setCategoryLogLevel(params: { category: string, logLevel?: LogLevel }): Promise<void> {
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Logger', action: 'setLogLevel', params })
+  async setCategoryLogLevel(params: { category: string, logLevel?: LogLevel }, options?: RequestOptions): Promise<void> {
+    await this.ipcRecordKit.nsrpc.perform({ type: 'Logger', action: 'setLogLevel', params }, options)
+    if (params.logLevel) {
+      this.categoryLogLevels.set(params.category, params.logLevel)
+    } else {
+      this.categoryLogLevels.delete(params.category)
+    }
+  }
+
+  /**
+   * The most recent log messages of the RecordKit process, oldest first, also when there was no `log`
+   * listener when they were logged. Keeps the number of messages set by `logBufferSize` in {@link initialize}.
+   *
+   * @example
+   * ```ts
+   * const errors = recordkit.getRecentLogs({ level: 'error', since: Date.now() - 60_000 })
+   * ```
+   *
+   * @group Logging
+   */
+  getRecentLogs(query?: LogQuery): LogMessage[] {
+    return this.logBuffer.query(query)
+  }
+
+  /**
+   * Every log category the RecordKit process logged a message in so far, sorted by name, for example
+   * to offer {@link setCategoryLogLevel} in a settings screen.
+   *
+   * Only categories of messages at or above the current log level are seen.
+   *
+   * @group Logging
+   */
+  getLogCategories(): string[] {
+    return this.logBuffer.categories()
   }
 
   /**
@@ -136,8 +379,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Discovery
    */
-  async getDisplays(): Promise<Display[]> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getDisplays' }) as Display[]
+  async getDisplays(options?: RequestOptions): Promise<Display[]> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getDisplays' }, options) as Display[]
   }
 
   /**
@@ -145,8 +388,59 @@ export class RecordKit extends EventEmitter {
    *
    * @group Discovery
    */
-  async getWindows(): Promise<Window[]> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getWindows' }) as Window[]
+  async getWindows(options?: RequestOptions): Promise<Window[]> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getWindows' }, options) as Window[]
+  }
+
+  /**
+   * Finds the windows matching the query, with the application that owns each window and the display
+   * it's on, sorted front to back. By default only regular app windows are included, leaving out the
+   * desktop, menu bar, overlays and the cursor; see {@link WindowQuery.levels}.
+   *
+   * @example
+   * ```ts
+   * // Windows to offer in a "pick a window to record" list
+   * const windows = await recordkit.findWindows({ excludeCurrentProcess: true, minSize: { width: 100, height: 100 } })
+   * ```
+   *
+   * @group Discovery
+   */
+  async findWindows(query: WindowQuery = {}, options?: RequestOptions): Promise<WindowDetails[]> {
+    const [windows, applications, displays] = await Promise.all([
+      this.getWindows(options),
+      this.getRunningApplications(options),
+      this.getDisplays(options),
+    ])
+    return findWindows(windows, applications, displays, query, process.pid)
+  }
+
+  /**
+   * Starts following a window's position, size, title and display, for example to keep an outline of
+   * the window to record in sync. See {@link WindowWatcher} for its events.
+   *
+   * Rejects if the window doesn't exist. Call `stop()` on the watcher when done, for example once the
+   * recording starts.
+   *
+   * @param options.interval - Time in milliseconds between checks of the window. Defaults to `250`.
+   * @group Discovery
+   */
+  async watchWindow(window: Window | number, options: { interval?: number } = {}): Promise<WindowWatcher> {
+    const id = windowIdOf(window)
+    const [windows, displays] = await Promise.all([this.getWindows(), this.getDisplays()])
+    const current = windows.find((window) => window.id === id)
+    if (current === undefined) {
+      throw new Error(`RecordKit: Window ${id} not found.`)
+    }
+
+    const watcher = new WindowWatcher(current, displayForBounds(current.frame, displays), {
+      getWindows: () => this.getWindows(),
+      getDisplays: () => this.getDisplays(),
+    }, options.interval ?? 250)
+    for (const existing of this.windowWatchers) {
+      if (existing.isStopped) { this.windowWatchers.delete(existing) }
+    }
+    this.windowWatchers.add(watcher)
+    return watcher
   }
 
   /**
@@ -155,8 +449,8 @@ export class RecordKit extends EventEmitter {
    * @param params.includeDeskView - Whether to include Desk View cameras in the results
    * @group Discovery
    */
-  async getCameras(params?: { includeDeskView?: boolean }): Promise<Camera[]> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getCameras', params: { includeDeskView: params?.includeDeskView ?? false } }) as Camera[]
+  async getCameras(params?: { includeDeskView?: boolean } & RequestOptions): Promise<Camera[]> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getCameras', params: { includeDeskView: params?.includeDeskView ?? false } }, params) as Camera[]
   }
 
   /**
@@ -164,8 +458,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Discovery
    */
-  async getMicrophones(): Promise<Microphone[]> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getMicrophones' }) as Microphone[]
+  async getMicrophones(options?: RequestOptions): Promise<Microphone[]> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getMicrophones' }, options) as Microphone[]
   }
 
   /**
@@ -173,8 +467,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Discovery
    */
-  async getAppleDevices(): Promise<AppleDevice[]> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getAppleDevices' }) as AppleDevice[]
+  async getAppleDevices(options?: RequestOptions): Promise<AppleDevice[]> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getAppleDevices' }, options) as AppleDevice[]
   }
 
   /**
@@ -182,8 +476,58 @@ export class RecordKit extends EventEmitter {
    *
    * @group Discovery
    */
-  async getRunningApplications(): Promise<RunningApplication[]> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getRunningApplications' }) as RunningApplication[]
+  async getRunningApplications(options?: RequestOptions): Promise<RunningApplication[]> {
+    const applications = await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getRunningApplications' }, options) as RunningApplication[]
+    this.icons.prune(applications)
+    return applications
+  }
+
+  /**
+   * Starts emitting `devicesChanged` when cameras, microphones, displays or Apple devices are added,
+   * removed or change their `availability`, for example when a USB microphone is plugged in or the
+   * MacBook lid is closed. Devices are checked periodically, see {@link DeviceWatchOptions}.
+   *
+   * Resolves once the current devices are known, changes are reported relative to them. Calling this
+   * again while watching restarts watching with the new options.
+   *
+   * @example
+   * ```ts
+   * recordkit.on('devicesChanged', ({ microphones }) => {
+   *   if (microphones) updateMicrophonePicker(microphones.added, microphones.removed)
+   * })
+   * await recordkit.watchDevices({ kinds: ['cameras', 'microphones'] })
+   * ```
+   *
+   * @group Discovery
+   */
+  async watchDevices(options: DeviceWatchOptions = {}): Promise<void> {
+    this.unwatchDevices()
+    const watcher = new DeviceWatcher({
+      cameras: () => this.getCameras(),
+      microphones: () => this.getMicrophones(),
+      displays: () => this.getDisplays(),
+      appleDevices: () => this.getAppleDevices(),
+    }, options, {
+      changed: (event) => { this.emit('devicesChanged', event) },
+      error: (error) => { log.warn('RecordKit', 'Failed to check for device changes.', error) },
+    })
+    this.deviceWatcher = watcher
+    try {
+      await watcher.start()
+    } catch (error) {
+      if (this.deviceWatcher === watcher) { this.deviceWatcher = undefined }
+      throw error
+    }
+  }
+
+  /**
+   * Stops emitting `devicesChanged`, see {@link watchDevices}.
+   *
+   * @group Discovery
+   */
+  unwatchDevices(): void {
+    this.deviceWatcher?.stop()
+    this.deviceWatcher = undefined
   }
 
   /**
@@ -194,8 +538,41 @@ export class RecordKit extends EventEmitter {
    *
    * @group Preferred Devices
    */
-  async getUserPreferred(): Promise<UserPreferred> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'getPreferred' }) as UserPreferred
+  async getUserPreferred(options?: RequestOptions): Promise<UserPreferred> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'getPreferred' }, options) as UserPreferred
+  }
+
+  /**
+   * Picks the microphone, camera, display and Apple device to pre-select in your UI, based on
+   * {@link getUserPreferred} and the devices currently discovered.
+   *
+   * For each kind the most-preferred device that is available wins. Preferred devices that are not
+   * connected, behind a closed MacBook lid or gone are skipped, falling back to the system default
+   * and then to the first available device. See {@link ResolvedDevice} for why each device was picked.
+   *
+   * @example
+   * ```ts
+   * const { microphone, camera } = await recordkit.resolvePreferredDevices()
+   * microphonePicker.select(microphone?.device.id)
+   * if (camera?.reason !== 'preferred') showHint('Your preferred camera is not connected')
+   * ```
+   *
+   * @group Preferred Devices
+   */
+  async resolvePreferredDevices(options?: RequestOptions): Promise<ResolvedPreferredDevices> {
+    const [preferred, microphones, cameras, displays, appleDevices] = await Promise.all([
+      this.getUserPreferred(options),
+      this.getMicrophones(options),
+      this.getCameras(options),
+      this.getDisplays(options),
+      this.getAppleDevices(options),
+    ])
+    return {
+      microphone: resolveDevice(preferred.microphoneIDs, microphones),
+      camera: resolveDevice(preferred.cameraIDs, cameras),
+      display: resolveDevice(preferred.displayIDs, displays, (display) => display.isMain),
+      appleDevice: resolveDevice(preferred.appleDeviceIDs, appleDevices),
+    }
   }
 
   /**
@@ -207,9 +584,9 @@ export class RecordKit extends EventEmitter {
    * @param microphone - The microphone to prefer, either a {@link Microphone} or its {@link Microphone.id}.
    * @group Preferred Devices
    */
-  async updatePreferredMicrophone(microphone: Microphone | string): Promise<void> {
+  async updatePreferredMicrophone(microphone: Microphone | string, options?: RequestOptions): Promise<void> {
     const id = microphoneIdOf(microphone)
-    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateMicrophone', params: { id } })
+    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateMicrophone', params: { id } }, options)
   }
 
   /**
@@ -221,9 +598,9 @@ export class RecordKit extends EventEmitter {
    * @param camera - The camera to prefer, either a {@link Camera} or its {@link Camera.id}.
    * @group Preferred Devices
    */
-  async updatePreferredCamera(camera: Camera | string): Promise<void> {
+  async updatePreferredCamera(camera: Camera | string, options?: RequestOptions): Promise<void> {
     const id = cameraIdOf(camera)
-    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateCamera', params: { id } })
+    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateCamera', params: { id } }, options)
   }
 
   /**
@@ -235,9 +612,9 @@ export class RecordKit extends EventEmitter {
    * @param display - The display to prefer, either a {@link Display} or its {@link Display.id}.
    * @group Preferred Devices
    */
-  async updatePreferredDisplay(display: Display | number): Promise<void> {
+  async updatePreferredDisplay(display: Display | number, options?: RequestOptions): Promise<void> {
     const id = displayIdOf(display)
-    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateDisplay', params: { id } })
+    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateDisplay', params: { id } }, options)
   }
 
   /**
@@ -249,9 +626,9 @@ export class RecordKit extends EventEmitter {
    * @param device - The Apple device to prefer, either an {@link AppleDevice} or its {@link AppleDevice.id}.
    * @group Preferred Devices
    */
-  async updatePreferredAppleDevice(device: AppleDevice | string): Promise<void> {
+  async updatePreferredAppleDevice(device: AppleDevice | string, options?: RequestOptions): Promise<void> {
     const id = appleDeviceIdOf(device)
-    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateAppleDevice', params: { id } })
+    await this.ipcRecordKit.nsrpc.perform({ type: 'UserPreferred', action: 'updateAppleDevice', params: { id } }, options)
   }
 
   /**
@@ -268,8 +645,8 @@ export class RecordKit extends EventEmitter {
    * @param options.display - The display to maximize onto, either a {@link Display} or its {@link Display.id}. Defaults to the window's current display.
    * @group Window Control
    */
-  async maximizeWindow(window: Window | number, options?: { display?: Display | number }): Promise<void> {
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowMaximize', params: { window: windowIdOf(window), display: displayIdOf(options?.display) } })
+  async maximizeWindow(window: Window | number, options?: { display?: Display | number } & RequestOptions): Promise<void> {
+    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowMaximize', params: { window: windowIdOf(window), display: displayIdOf(options?.display) } }, options)
   }
 
   /**
@@ -288,8 +665,8 @@ export class RecordKit extends EventEmitter {
    * @param options.display - The display to center on, either a {@link Display} or its {@link Display.id}. Defaults to the window's current display.
    * @group Window Control
    */
-  async resizeWindow(window: Window | number, size: Size, options?: { display?: Display | number }): Promise<void> {
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowResize', params: { window: windowIdOf(window), width: size.width, height: size.height, display: displayIdOf(options?.display) } })
+  async resizeWindow(window: Window | number, size: Size, options?: { display?: Display | number } & RequestOptions): Promise<void> {
+    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowResize', params: { window: windowIdOf(window), width: size.width, height: size.height, display: displayIdOf(options?.display) } }, options)
   }
 
   /**
@@ -306,8 +683,8 @@ export class RecordKit extends EventEmitter {
    * @param options.display - The display to center on, either a {@link Display} or its {@link Display.id}. Defaults to the window's current display.
    * @group Window Control
    */
-  async centerWindow(window: Window | number, options?: { display?: Display | number }): Promise<void> {
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowCenter', params: { window: windowIdOf(window), display: displayIdOf(options?.display) } })
+  async centerWindow(window: Window | number, options?: { display?: Display | number } & RequestOptions): Promise<void> {
+    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowCenter', params: { window: windowIdOf(window), display: displayIdOf(options?.display) } }, options)
   }
 
   /**
@@ -323,8 +700,8 @@ export class RecordKit extends EventEmitter {
    * @param position - The new top-left origin for the window, in points (top-left coordinate space).
    * @group Window Control
    */
-  async moveWindow(window: Window | number, position: { x: number, y: number }): Promise<void> {
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowMove', params: { window: windowIdOf(window), x: position.x, y: position.y } })
+  async moveWindow(window: Window | number, position: { x: number, y: number }, options?: RequestOptions): Promise<void> {
+    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'windowMove', params: { window: windowIdOf(window), x: position.x, y: position.y } }, options)
   }
 
   /**
@@ -345,8 +722,8 @@ export class RecordKit extends EventEmitter {
    * @param dimensions - Target dimensions in pixels.
    * @group Device Control
    */
-  async setCameraActiveFormat(camera: Camera | string, dimensions: Size): Promise<void> {
-    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'cameraSetActiveFormat', params: { camera: cameraIdOf(camera), width: dimensions.width, height: dimensions.height } })
+  async setCameraActiveFormat(camera: Camera | string, dimensions: Size, options?: RequestOptions): Promise<void> {
+    await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'cameraSetActiveFormat', params: { camera: cameraIdOf(camera), width: dimensions.width, height: dimensions.height } }, options)
   }
 
   /**
@@ -355,19 +732,53 @@ export class RecordKit extends EventEmitter {
    *
    * @group Device Control
    */
-  async getCameraBestFormat(camera: Camera | string, dimensions: Size): Promise<CameraFormat | undefined> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'cameraBestFormat', params: { camera: cameraIdOf(camera), width: dimensions.width, height: dimensions.height } }) as CameraFormat | undefined
+  async getCameraBestFormat(camera: Camera | string, dimensions: Size, options?: RequestOptions): Promise<CameraFormat | undefined> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'cameraBestFormat', params: { camera: cameraIdOf(camera), width: dimensions.width, height: dimensions.height } }, options) as CameraFormat | undefined
+  }
+
+  /**
+   * Returns every capture format the camera supports, with its dimensions, frame rate ranges and pixel
+   * format, for example to offer the real choices in a camera settings screen.
+   *
+   * Use {@link selectCameraFormat} to pick a format by a policy, and {@link setCameraActiveFormat} to
+   * apply its dimensions. Only the dimensions are applied: the camera switches to the format
+   * {@link setCameraActiveFormat} selects for them, which may differ in frame rate and pixel format.
+   *
+   * @example
+   * ```ts
+   * const formats = await recordkit.getCameraFormats(camera)
+   * const format = selectCameraFormat(formats, { target: { width: 1920, height: 1080 }, minFrameRate: 30, aspectRatio: 16 / 9 })
+   * if (format) await recordkit.setCameraActiveFormat(camera, { width: format.width, height: format.height })
+   * ```
+   *
+   * @remarks
+   * Resolves to an empty list if the RecordKit binary predates listing camera formats, use
+   * {@link getCameraBestFormat} with such binaries.
+   *
+   * @group Device Control
+   */
+  async getCameraFormats(camera: Camera | string, options?: RequestOptions): Promise<SupportedCameraFormat[]> {
+    try {
+      return await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'cameraFormats', params: { camera: cameraIdOf(camera) } }, options) as SupportedCameraFormat[]
+    } catch (error) {
+      // Binaries that predate listing camera formats reject the unknown action.
+      if (!(error instanceof RPCError)) { throw error }
+      log.warn('RecordKit', 'The RecordKit binary does not support listing camera formats.', error)
+      return []
+    }
   }
 
   /**
    * Returns the icon of the given running application as a `data:image/png;base64,...` URL,
    * usable directly as the `src` of an HTML `<img>` tag.
    *
+   * Every call fetches the icon from the RecordKit process, use {@link icons} to cache icons.
+   *
    * @group Device Control
    */
-  async getApplicationIcon(application: RunningApplication | number): Promise<string> {
+  async getApplicationIcon(application: RunningApplication | number, options?: RequestOptions): Promise<string> {
     const id = applicationIdOf(application)
-    const result = await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getApplicationIcon', params: { application: id } }) as { icon: string }
+    const result = await this.ipcRecordKit.nsrpc.perform({ type: 'Recorder', action: 'getApplicationIcon', params: { application: id } }, options) as { icon: string }
     return result.icon
   }
 
@@ -378,8 +789,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async getCameraAuthorizationStatus(): Promise<AuthorizationStatus> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getCameraAuthorizationStatus' }) as AuthorizationStatus
+  async getCameraAuthorizationStatus(options?: RequestOptions): Promise<AuthorizationStatus> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getCameraAuthorizationStatus' }, options) as AuthorizationStatus
   }
 
   /**
@@ -389,8 +800,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async getMicrophoneAuthorizationStatus(): Promise<AuthorizationStatus> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getMicrophoneAuthorizationStatus' }) as AuthorizationStatus
+  async getMicrophoneAuthorizationStatus(options?: RequestOptions): Promise<AuthorizationStatus> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getMicrophoneAuthorizationStatus' }, options) as AuthorizationStatus
   }
 
   /**
@@ -398,8 +809,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async getScreenRecordingAccess(): Promise<boolean> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getScreenRecordingAccess' }) as boolean
+  async getScreenRecordingAccess(options?: RequestOptions): Promise<boolean> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getScreenRecordingAccess' }, options) as boolean
   }
 
   /**
@@ -407,14 +818,14 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async getSystemAudioRecordingAccess(options?: { backend?: SystemAudioPermissionBackend }): Promise<boolean> {
+  async getSystemAudioRecordingAccess(options?: { backend?: SystemAudioPermissionBackend } & RequestOptions): Promise<boolean> {
     return await this.ipcRecordKit.nsrpc.perform({
       type: 'AuthorizationStatus',
       action: 'getSystemAudioRecordingAccess',
       params: {
         backend: options?.backend ?? 'default'
       }
-    }) as boolean
+    }, options) as boolean
   }
 
   /**
@@ -427,14 +838,14 @@ export class RecordKit extends EventEmitter {
    * @remarks If the permission state is still undetermined, this may trigger the system audio permission prompt.
    * @group Permissions
    */
-  async probeSystemAudioRecordingAccess(options?: { backend?: SystemAudioPermissionBackend }): Promise<boolean> {
+  async probeSystemAudioRecordingAccess(options?: { backend?: SystemAudioPermissionBackend } & RequestOptions): Promise<boolean> {
     return await this.ipcRecordKit.nsrpc.perform({
       type: 'AuthorizationStatus',
       action: 'probeSystemAudioRecordingAccess',
       params: {
         backend: options?.backend ?? 'default'
       }
-    }) as boolean
+    }, options) as boolean
   }
 
   /**
@@ -442,8 +853,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async getInputMonitoringAccess(): Promise<boolean> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getInputMonitoringAccess' }) as boolean
+  async getInputMonitoringAccess(options?: RequestOptions): Promise<boolean> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getInputMonitoringAccess' }, options) as boolean
   }
 
   /**
@@ -451,8 +862,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async getAccessibilityControlAccess(): Promise<boolean> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getAccessibilityControlAccess' }) as boolean
+  async getAccessibilityControlAccess(options?: RequestOptions): Promise<boolean> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'getAccessibilityControlAccess' }, options) as boolean
   }
 
   /**
@@ -463,8 +874,8 @@ export class RecordKit extends EventEmitter {
    * @returns Boolean value that indicates whether the user granted or denied access to your app.
    * @group Permissions
    */
-  async requestCameraAccess(): Promise<boolean> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestCameraAccess' }) as boolean
+  async requestCameraAccess(options?: RequestOptions): Promise<boolean> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestCameraAccess' }, options) as boolean
   }
 
   /**
@@ -475,8 +886,8 @@ export class RecordKit extends EventEmitter {
    * @returns Boolean value that indicates whether the user granted or denied access to your app.
    * @group Permissions
    */
-  async requestMicrophoneAccess(): Promise<boolean> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestMicrophoneAccess' }) as boolean
+  async requestMicrophoneAccess(options?: RequestOptions): Promise<boolean> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestMicrophoneAccess' }, options) as boolean
   }
 
   /**
@@ -486,8 +897,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async requestScreenRecordingAccess(): Promise<void> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestScreenRecordingAccess' }) as void
+  async requestScreenRecordingAccess(options?: RequestOptions): Promise<void> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestScreenRecordingAccess' }, options) as void
   }
 
   /**
@@ -505,14 +916,14 @@ export class RecordKit extends EventEmitter {
    * @returns Boolean value that indicates whether the user granted or denied access to your app.
    * @group Permissions
    */
-  async requestSystemAudioRecordingAccess(options?: { backend?: SystemAudioPermissionBackend }): Promise<boolean> {
+  async requestSystemAudioRecordingAccess(options?: { backend?: SystemAudioPermissionBackend } & RequestOptions): Promise<boolean> {
     return await this.ipcRecordKit.nsrpc.perform({
       type: 'AuthorizationStatus',
       action: 'requestSystemAudioRecordingAccess',
       params: {
         backend: options?.backend ?? 'default'
       }
-    }) as boolean
+    }, options) as boolean
   }
 
   /**
@@ -525,8 +936,8 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async requestInputMonitoringAccess(): Promise<void> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestInputMonitoringAccess' }) as void
+  async requestInputMonitoringAccess(options?: RequestOptions): Promise<void> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestInputMonitoringAccess' }, options) as void
   }
 
   /**
@@ -539,8 +950,164 @@ export class RecordKit extends EventEmitter {
    *
    * @group Permissions
    */
-  async requestAccessibilityControlAccess(): Promise<void> {
-    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestAccessibilityControlAccess' }) as void
+  async requestAccessibilityControlAccess(options?: RequestOptions): Promise<void> {
+    return await this.ipcRecordKit.nsrpc.perform({ type: 'AuthorizationStatus', action: 'requestAccessibilityControlAccess' }, options) as void
+  }
+
+  /**
+   * The status of every permission RecordKit may need, in one call. See {@link PermissionStatus} for
+   * how the different permissions are reported.
+   *
+   * @param options.backend - The backend to check the system audio permission for, see {@link getSystemAudioRecordingAccess}.
+   * @group Permissions
+   */
+  async getPermissions(options?: { backend?: SystemAudioPermissionBackend } & RequestOptions): Promise<Permissions> {
+    const [camera, microphone, systemAudio, screen, inputMonitoring, accessibility] = await Promise.all([
+      this.getCameraAuthorizationStatus(options),
+      this.getMicrophoneAuthorizationStatus(options),
+      this.getSystemAudioRecordingAccess(options),
+      this.getScreenRecordingAccess(options),
+      this.getInputMonitoringAccess(options),
+      this.getAccessibilityControlAccess(options),
+    ])
+    return {
+      camera: toPermissionStatus(camera),
+      microphone: toPermissionStatus(microphone),
+      systemAudio: toPermissionStatus(systemAudio),
+      screen: toPermissionStatus(screen),
+      inputMonitoring: toPermissionStatus(inputMonitoring),
+      accessibility: toPermissionStatus(accessibility),
+    }
+  }
+
+  /**
+   * Requests the given permissions that aren't granted yet, one at a time: first the ones the user is
+   * prompted for within the app, then the ones that send the user to System Settings.
+   *
+   * Permissions the user denied before can only be changed in System Settings, and Screen Recording,
+   * Input Monitoring and Accessibility only become active after the app restarts. The result lists
+   * which permissions still need either, so the app can guide the user.
+   *
+   * @example
+   * ```ts
+   * const result = await recordkit.ensurePermissions(['camera', 'microphone', 'screen'])
+   * if (!result.granted) {
+   *   showPermissionHelp(result.needsSystemSettings, result.needsRestart)
+   * }
+   * ```
+   *
+   * @param options.backend - The backend to request the system audio permission for, see {@link requestSystemAudioRecordingAccess}.
+   * @group Permissions
+   */
+  async ensurePermissions(permissions: PermissionName[], options?: { backend?: SystemAudioPermissionBackend } & RequestOptions): Promise<EnsurePermissionsResult> {
+    return await ensurePermissions({
+      check: () => this.getPermissions(options),
+      request: (name) => {
+        switch (name) {
+          case 'camera': return this.requestCameraAccess(options)
+          case 'microphone': return this.requestMicrophoneAccess(options)
+          case 'systemAudio': return this.requestSystemAudioRecordingAccess(options)
+          case 'screen': return this.requestScreenRecordingAccess(options)
+          case 'inputMonitoring': return this.requestInputMonitoringAccess(options)
+          case 'accessibility': return this.requestAccessibilityControlAccess(options)
+        }
+      },
+      requiresRestart: (name) =>
+        name === 'screen' || name === 'inputMonitoring' || name === 'accessibility' ||
+        (name === 'systemAudio' && options?.backend === 'screenCaptureKit'),
+    }, permissions)
+  }
+
+  /**
+   * Starts emitting `permissionsChanged` when the status of a permission changes, for example when the
+   * user allows Screen Recording in System Settings. Permissions are checked periodically.
+   *
+   * Resolves once the current permissions are known, changes are reported relative to them. Calling
+   * this again while watching restarts watching with the new options.
+   *
+   * @example
+   * ```ts
+   * recordkit.on('permissionsChanged', ({ permissions, changed }) => {
+   *   if (changed.includes('screen')) updateOnboarding(permissions)
+   * })
+   * await recordkit.watchPermissions()
+   * ```
+   *
+   * @param options.interval - Time in milliseconds between checks. Defaults to `2000`.
+   * @param options.backend - The backend to check the system audio permission for, see {@link getSystemAudioRecordingAccess}.
+   * @group Permissions
+   */
+  async watchPermissions(options: { interval?: number, backend?: SystemAudioPermissionBackend } = {}): Promise<void> {
+    this.unwatchPermissions()
+    const watcher = new PermissionWatcher(() => this.getPermissions({ backend: options.backend }), options.interval ?? 2000, {
+      changed: (event) => { this.emit('permissionsChanged', event) },
+      error: (error) => { log.warn('RecordKit', 'Failed to check for permission changes.', error) },
+    })
+    this.permissionWatcher = watcher
+    try {
+      await watcher.start()
+    } catch (error) {
+      if (this.permissionWatcher === watcher) { this.permissionWatcher = undefined }
+      throw error
+    }
+  }
+
+  /**
+   * Stops emitting `permissionsChanged`, see {@link watchPermissions}.
+   *
+   * @group Permissions
+   */
+  unwatchPermissions(): void {
+    this.permissionWatcher?.stop()
+    this.permissionWatcher = undefined
+  }
+
+  /**
+   * Checks whether a recorder for the schema can be created and started, before calling {@link createRecorder}.
+   *
+   * Derives the permissions the schema items need, for example a `webcam` needs camera and microphone
+   * access, a `display` recording `mouse_events` or `keyboard_events` needs Input Monitoring and
+   * `systemAudio` needs system audio access for its `backend`, and looks up the devices, windows and
+   * applications they record. Reports everything that is missing at
+   * once, so the user can be asked a single time instead of finding out from a failing recorder.
+   *
+   * @example
+   * ```ts
+   * const { missingPermissions, unavailableDevices } = await recordkit.preflight(schema)
+   * if (missingPermissions.length > 0) {
+   *   await recordkit.ensurePermissions(missingPermissions)
+   * }
+   * ```
+   *
+   * @group Recording
+   */
+  async preflight(schema: { items: RecorderSchemaItem[] }, options?: RequestOptions): Promise<PreflightResult> {
+    const references = deviceReferences(schema.items)
+    const kinds = new Set(references.map((reference) => reference.kind))
+    const permissions = requiredPermissions(schema.items)
+    const when = <T>(needed: boolean, query: () => Promise<T>) => needed ? query() : Promise.resolve(undefined)
+
+    const backends = systemAudioBackends(schema.items)
+
+    const [granted, systemAudio, cameras, microphones, displays, windows, appleDevices, applications] = await Promise.all([
+      when(permissions.length > 0, () => this.getPermissions(options)),
+      Promise.all(backends.map((backend) => this.getSystemAudioRecordingAccess({ ...options, backend }))),
+      when(kinds.has('camera'), () => this.getCameras(options)),
+      when(kinds.has('microphone'), () => this.getMicrophones(options)),
+      when(kinds.has('display'), () => this.getDisplays(options)),
+      when(kinds.has('window'), () => this.getWindows(options)),
+      when(kinds.has('appleDevice'), () => this.getAppleDevices(options)),
+      when(kinds.has('application'), () => this.getRunningApplications(options)),
+    ])
+    const missingPermissions = permissions.filter((permission) => permission === 'systemAudio'
+      ? systemAudio.includes(false)
+      : granted?.[permission] !== 'granted')
+    const unavailable = unavailableDevices(references, { cameras, microphones, displays, windows, appleDevices, applications })
+    return {
+      ready: missingPermissions.length === 0 && unavailable.length === 0,
+      missingPermissions,
+      unavailableDevices: unavailable,
+    }
   }
 
   /**
@@ -560,8 +1127,143 @@ export class RecordKit extends EventEmitter {
       output_directory?: string
       items: RecorderSchemaItem[]
       settings?: RecorderSettings
-    }): Promise<Recorder> {
-    return Recorder.newInstance(this.ipcRecordKit.nsrpc, schema);
+    }, options?: RequestOptions): Promise<Recorder> {
+    const recorder = await Recorder.newInstance(this.ipcRecordKit.nsrpc, schema, options);
+    for (const reference of this.recorders) {
+      if (reference.deref() === undefined) { this.recorders.delete(reference) }
+    }
+    this.recorders.add(new WeakRef(recorder))
+    return recorder
+  }
+
+  /**
+   * Shuts RecordKit down: stops every recorder that is recording, releases all recorders and closes the
+   * RecordKit process. Call {@link initialize} again to use RecordKit after shutting down.
+   *
+   * Failures to stop a recorder are logged instead of thrown, so this is safe to call while quitting.
+   *
+   * @example
+   * ```ts
+   * let isShutDown = false
+   * app.on('before-quit', async (event) => {
+   *   if (isShutDown) return
+   *   event.preventDefault()
+   *   await recordkit.shutdown({ timeout: 5000 })
+   *   isShutDown = true
+   *   app.quit()
+   * })
+   * ```
+   *
+   * @param options.timeout - Time in milliseconds to wait for each recorder to stop and be released. Defaults to `10000`.
+   * @returns The results of the recordings that were stopped.
+   * @group Lifecycle
+   */
+  async shutdown(options: { timeout?: number } = {}): Promise<RecordingResult[]> {
+    const timeout = options.timeout ?? 10_000
+    this.unwatchDevices()
+    this.unwatchPermissions()
+    for (const watcher of this.windowWatchers) {
+      watcher.stop()
+    }
+    this.windowWatchers.clear()
+    const recorders = [...this.recorders].flatMap((reference) => reference.deref() ?? [])
+    this.recorders.clear()
+
+    const outcomes = await Promise.allSettled(recorders.map((recorder) => recorder.shutdown({ timeout })))
+    const results: RecordingResult[] = []
+    for (const outcome of outcomes) {
+      if (outcome.status === 'rejected') {
+        log.error('RecordKit', 'Failed to stop recorder during shutdown.', outcome.reason)
+      } else if (outcome.value !== undefined) {
+        results.push(outcome.value)
+      }
+    }
+
+    await this.ipcRecordKit.close()
+    return results
+  }
+
+  /**
+   * Writes everything needed to troubleshoot RecordKit to a single gzipped JSON file, to attach to a
+   * bug report: package, protocol and OS versions, the path, size and modification time of the
+   * `recordkit-rpc` binary, the discovered displays, cameras and microphones, permission statuses,
+   * RPC metrics, the most recent log entries and the tail of the transcript.
+   * See {@link DiagnosticsBundle} for its contents.
+   *
+   * Logs come from the log file when logging to one, see `logFile` in {@link initialize}, or else
+   * are the messages kept for {@link getRecentLogs}. Queries that fail, for example because
+   * RecordKit isn't initialized, are included with their error.
+   *
+   * @example
+   * ```ts
+   * await recordkit.exportDiagnostics(path.join(app.getPath('desktop'), 'recordkit-diagnostics.json.gz'))
+   * ```
+   *
+   * @param path - Path of the file to write, replacing it if it exists. Use the `.json.gz` extension.
+   * @param options.timeout - Time in milliseconds to wait for each query to the RecordKit process. Defaults to `5000`.
+   * @group Diagnostics
+   */
+  async exportDiagnostics(path: string, options: { timeout?: number } = {}): Promise<void> {
+    const requestOptions = { timeout: options.timeout ?? 5000 }
+    // Query everything at once, so a hung process makes the export wait for one timeout instead of all of them.
+    const [
+      displays, cameras, microphones,
+      camera, microphone, screenRecording, systemAudioRecording, inputMonitoring, accessibilityControl,
+    ] = await Promise.all([
+      settle(this.getDisplays(requestOptions)),
+      settle(this.getCameras(requestOptions)),
+      settle(this.getMicrophones(requestOptions)),
+      settle(this.getCameraAuthorizationStatus(requestOptions)),
+      settle(this.getMicrophoneAuthorizationStatus(requestOptions)),
+      settle(this.getScreenRecordingAccess(requestOptions)),
+      settle(this.getSystemAudioRecordingAccess(requestOptions)),
+      settle(this.getInputMonitoringAccess(requestOptions)),
+      settle(this.getAccessibilityControlAccess(requestOptions)),
+    ])
+    const bundle: DiagnosticsBundle = {
+      createdAt: new Date().toISOString(),
+      versions: versions(this.ipcRecordKit.nsrpc.remoteVersion),
+      rpcBinary: this.rpcBinaryPath === undefined ? undefined : describeBinary(this.rpcBinaryPath),
+      displays,
+      cameras,
+      microphones,
+      permissions: { camera, microphone, screenRecording, systemAudioRecording, inputMonitoring, accessibilityControl },
+      metrics: this.ipcRecordKit.metrics.snapshot(),
+      logs: (await currentLogFile()?.readRecent()) ?? this.logBuffer.query().map(nativeEntry),
+      transcript: this.transcriptPath === undefined ? [] : readTranscriptTail(this.transcriptPath, 200),
+    }
+    writeDiagnostics(path, bundle)
+  }
+
+  /**
+   * Exposes a type to the RecordKit process. Native code can then create instances of it, perform
+   * methods on those instances and release them, or perform the type's static methods.
+   *
+   * @example
+   * ```ts
+   * recordkit.exposeType('SegmentSink', {
+   *   create: (params) => new SegmentSink(params.directory as string),
+   *   release: (sink) => (sink as SegmentSink).close(),
+   * })
+   * ```
+   *
+   * @remarks Methods may return a promise, the RecordKit process receives the result once it settles.
+   * @group Native Bridge
+   */
+  exposeType(type: string, definition: ExposedType): void {
+    this.ipcRecordKit.nsrpc.exposeType(type, definition)
+    this.exposedTypes.set(type, definition)
+  }
+
+  /**
+   * Exposes an existing object to the RecordKit process, which can then perform its methods.
+   *
+   * @returns The target identifying the object, pass this to the native code that should call it.
+   * @remarks The object is kept alive until the RecordKit process releases it, or exits.
+   * @group Native Bridge
+   */
+  exposeObject(object: object, options: { prefix: string }): string {
+    return this.ipcRecordKit.nsrpc.exposeObject(object, options)
   }
 }
 
@@ -578,11 +1280,90 @@ export interface RecordKit {
   once(event: 'log', listener: (message: LogMessage) => void): this;
   /** @see {@link RecordKit.on} */
   off(event: 'log', listener: (message: LogMessage) => void): this;
+
+  /** Fires when the RecordKit process exits unexpectedly, or the connection to it is lost otherwise. */
+  on(event: 'processExit', listener: (error: RPCConnectionLostError) => void): this;
+  /** @see {@link RecordKit.on} */
+  once(event: 'processExit', listener: (error: RPCConnectionLostError) => void): this;
+  /** @see {@link RecordKit.on} */
+  off(event: 'processExit', listener: (error: RPCConnectionLostError) => void): this;
+
+  /** Fires when the supervisor restarted the RecordKit process and it is ready for new calls, see `supervise` in {@link RecordKit.initialize}. */
+  on(event: 'processRestart', listener: (info: { attempt: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  once(event: 'processRestart', listener: (info: { attempt: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  off(event: 'processRestart', listener: (info: { attempt: number }) => void): this;
+
+  /** Fires for every answered heartbeat ping with its round-trip time in milliseconds, see `heartbeat` in {@link RecordKit.initialize}. */
+  on(event: 'heartbeat', listener: (info: { latency: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  once(event: 'heartbeat', listener: (info: { latency: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  off(event: 'heartbeat', listener: (info: { latency: number }) => void): this;
+
+  /** Fires when the RecordKit process missed the configured number of consecutive heartbeat pings. */
+  on(event: 'unresponsive', listener: (info: { missed: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  once(event: 'unresponsive', listener: (info: { missed: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  off(event: 'unresponsive', listener: (info: { missed: number }) => void): this;
+
+  /** Fires when an unresponsive RecordKit process answers a heartbeat ping again, `unresponsiveFor` is in milliseconds. */
+  on(event: 'recovered', listener: (info: { latency: number, unresponsiveFor: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  once(event: 'recovered', listener: (info: { latency: number, unresponsiveFor: number }) => void): this;
+  /** @see {@link RecordKit.on} */
+  off(event: 'recovered', listener: (info: { latency: number, unresponsiveFor: number }) => void): this;
+
+  /** Fires when devices are added, removed or change their availability, see {@link RecordKit.watchDevices}. */
+  on(event: 'devicesChanged', listener: (event: DevicesChangedEvent) => void): this;
+  /** @see {@link RecordKit.on} */
+  once(event: 'devicesChanged', listener: (event: DevicesChangedEvent) => void): this;
+  /** @see {@link RecordKit.on} */
+  off(event: 'devicesChanged', listener: (event: DevicesChangedEvent) => void): this;
+
+  /** Fires when the status of a permission changed, see {@link RecordKit.watchPermissions}. */
+  on(event: 'permissionsChanged', listener: (event: PermissionsChangedEvent) => void): this;
+  /** @see {@link RecordKit.on} */
+  once(event: 'permissionsChanged', listener: (event: PermissionsChangedEvent) => void): this;
+  /** @see {@link RecordKit.on} */
+  off(event: 'permissionsChanged', listener: (event: PermissionsChangedEvent) => void): this;
 }
 
 /** @ignore */
 export let recordkit = new RecordKit();
 
+/**
+ * How the supervisor restarts the RecordKit process, see `supervise` in {@link RecordKit.initialize}.
+ *
+ * @group Transports
+ */
+export interface SupervisorOptions {
+  /** Number of consecutive restarts to attempt before giving up. Defaults to `5`. */
+  maxRestarts?: number
+  /** Time in milliseconds to wait before the first restart, doubled for every consecutive restart. Defaults to `500`. */
+  initialDelay?: number
+  /** Maximum time in milliseconds to wait before a restart. Defaults to `30000`. */
+  maxDelay?: number
+}
+
+/**
+ * How often to ping the RecordKit process, see `heartbeat` in {@link RecordKit.initialize}.
+ *
+ * @group Transports
+ */
+export interface HeartbeatOptions {
+  /** Time in milliseconds between pings. Defaults to `5000`. */
+  interval?: number
+  /** Time in milliseconds to wait for an answer before counting a ping as missed. Defaults to the interval. */
+  timeout?: number
+  /** Number of consecutive missed pings after which the process is considered unresponsive. Defaults to `3`. */
+  missThreshold?: number
+  /** Restart the process once it is unresponsive, requires `supervise`. Defaults to `false`. */
+  restart?: boolean
+}
+
 /**
  * @group Permissions
  * 
@@ -712,6 +1493,33 @@ export interface CameraFormat {
   maxFrameRate: number
 }
 
+/**
+ * A range of frame rates a {@link SupportedCameraFormat} can capture at, in frames per second.
+ *
+ * @group Discovery
+ */
+export interface FrameRateRange {
+  min: number
+  max: number
+}
+
+/**
+ * A capture format a camera supports, as returned by {@link RecordKit.getCameraFormats}.
+ *
+ * @group Discovery
+ */
+export interface SupportedCameraFormat extends CameraFormat {
+  /** Lowest frame rate supported by this format, in frames per second. */
+  minFrameRate: number
+  /** Every range of frame rates supported by this format, some cameras support several discrete ranges. */
+  frameRateRanges: FrameRateRange[]
+  /**
+   * The pixel format as a four character code, e.g. `420v` or `420f` for biplanar YUV, `yuvs` or
+   * `2vuy` for packed YUV and `jpeg` for compressed formats.
+   */
+  pixelFormat: string
+}
+
 /**
  * A microphone whose audio can be recorded.
  * 
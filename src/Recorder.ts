@@ -1,8 +1,14 @@
 import { randomUUID } from "crypto";
-import { NSRPC } from "./NonstrictRPC.js";
+import { isPromiseLike, NSRPC } from "./NonstrictRPC.js";
+import type { RequestOptions } from "./NonstrictRPC.js";
 import { EventEmitter } from "events";
 import { AppleDevice, Bounds, Camera, Display, Microphone, RunningApplication, Window } from "./RecordKit.js";
-import type { RecordKitErrorCode } from "./Errors.js";
+import { errorFromPayload, NSError, RecordKitError } from "./Errors.js";
+import { log } from "./Logger.js";
+
+// Node before 18.18 has no `Symbol.asyncDispose`, which would define the dispose method below under the key
+// "undefined". Define it like the downlevel helpers of TypeScript and core-js expect, so `await using` works.
+(Symbol as { asyncDispose?: symbol }).asyncDispose ??= Symbol.for("Symbol.asyncDispose");
 
 /**
  * Converts RPC audio buffer data to AudioStreamBuffer format
@@ -14,7 +20,7 @@ function convertRPCParamsToAudioStreamBuffer(params: any): AudioStreamBuffer | n
     const rawAudioBuffer = params as any;
 
     if (!rawAudioBuffer || !Array.isArray(rawAudioBuffer.channelData)) {
-      console.error('RecordKit: Invalid audio buffer received from RPC');
+      log.error('Recorder', 'Invalid audio buffer received from RPC');
       return null;
     }
 
@@ -22,7 +28,7 @@ function convertRPCParamsToAudioStreamBuffer(params: any): AudioStreamBuffer | n
 
     for (const base64Data of rawAudioBuffer.channelData) {
       if (typeof base64Data !== 'string') {
-        console.error('RecordKit: Invalid base64 data received');
+        log.error('Recorder', 'Invalid base64 data received');
         return null;
       }
 
@@ -47,11 +53,25 @@ function convertRPCParamsToAudioStreamBuffer(params: any): AudioStreamBuffer | n
 
     return audioStreamBuffer;
   } catch (error) {
-    console.error('RecordKit: Error processing audio stream buffer:', error);
+    log.error('Recorder', 'Error processing audio stream buffer.', error);
     return null;
   }
 }
 
+/**
+ * Wraps a {@link SegmentCallback} as an RPC closure handler. A returned promise is passed on, so the
+ * segment is only acknowledged to RecordKit once it settles.
+ * @internal
+ */
+function segmentClosureHandler(segmentHandler: SegmentCallback) {
+  return (params: Record<string, unknown>) => {
+    const result: unknown = segmentHandler(params.path as string)
+    if (isPromiseLike(result)) {
+      return Promise.resolve(result).then(() => { })
+    }
+  }
+}
+
 /**
  * Registers the per-segment callback of a {@link JSONOutputOptions} (if any) as an RPC closure,
  * replacing the function with the closure target so the options object can be serialized.
@@ -61,7 +81,7 @@ function registerJSONOutputSegmentCallback(output: JSONOutputOptions | undefined
   if (output && output.output == 'segmented' && output.segmentCallback) {
     const segmentHandler = output.segmentCallback;
     (output as any).segmentCallback = rpc.registerClosure({
-      handler: (params) => { segmentHandler(params.path as string) },
+      handler: segmentClosureHandler(segmentHandler),
       prefix,
       lifecycle: object
     });
@@ -74,13 +94,17 @@ function registerJSONOutputSegmentCallback(output: JSONOutputOptions | undefined
 export class Recorder extends EventEmitter {
   private readonly rpc: NSRPC;
   private readonly target: string;
+  /** Whether the recorder was started and hasn't been stopped, cancelled or aborted since. */
+  private recording = false;
+  /** Whether the recorder was cancelled or disposed, which releases it in the RecordKit process. */
+  private released = false;
 
   /** @ignore */
   static async newInstance(rpc: NSRPC, schema: {
     output_directory?: string
     items: RecorderSchemaItem[]
     settings?: RecorderSettings
-  }): Promise<Recorder> {
+  }, options?: RequestOptions): Promise<Recorder> {
     const target = 'Recorder_' + randomUUID();
     const object = new Recorder(rpc, target);
 
@@ -95,7 +119,7 @@ export class Recorder extends EventEmitter {
         if (item.output == 'segmented' && item.segmentCallback) {
           const segmentHandler = item.segmentCallback;
           (item as any).segmentCallback = rpc.registerClosure({
-            handler: (params) => { segmentHandler(params.path as string) },
+            handler: segmentClosureHandler(segmentHandler),
             prefix: 'Webcam.onSegment',
             lifecycle: object
           });
@@ -108,7 +132,7 @@ export class Recorder extends EventEmitter {
         if (item.output == 'segmented' && item.segmentCallback) {
           const segmentHandler = item.segmentCallback;
           (item as any).segmentCallback = rpc.registerClosure({
-            handler: (params) => { segmentHandler(params.path as string) },
+            handler: segmentClosureHandler(segmentHandler),
             prefix: 'Display.onSegment',
             lifecycle: object
           });
@@ -122,7 +146,7 @@ export class Recorder extends EventEmitter {
         if (item.output == 'segmented' && item.segmentCallback) {
           const segmentHandler = item.segmentCallback;
           (item as any).segmentCallback = rpc.registerClosure({
-            handler: (params) => { segmentHandler(params.path as string) },
+            handler: segmentClosureHandler(segmentHandler),
             prefix: 'Window.onSegment',
             lifecycle: object
           });
@@ -136,7 +160,7 @@ export class Recorder extends EventEmitter {
         if (item.output == 'segmented' && item.segmentCallback) {
           const segmentHandler = item.segmentCallback;
           (item as any).segmentCallback = rpc.registerClosure({
-            handler: (params) => { segmentHandler(params.path as string) },
+            handler: segmentClosureHandler(segmentHandler),
             prefix: 'DesktopIndependentWindow.onSegment',
             lifecycle: object
           });
@@ -157,7 +181,7 @@ export class Recorder extends EventEmitter {
         if (item.output == 'segmented' && item.segmentCallback) {
           const segmentHandler = item.segmentCallback;
           (item as any).segmentCallback = rpc.registerClosure({
-            handler: (params) => { segmentHandler(params.path as string) },
+            handler: segmentClosureHandler(segmentHandler),
             prefix: 'SystemAudio.onSegment',
             lifecycle: object
           });
@@ -180,7 +204,7 @@ export class Recorder extends EventEmitter {
         if (item.output == 'segmented' && item.segmentCallback) {
           const segmentHandler = item.segmentCallback;
           (item as any).segmentCallback = rpc.registerClosure({
-            handler: (params) => { segmentHandler(params.path as string) },
+            handler: segmentClosureHandler(segmentHandler),
             prefix: 'ApplicationAudio.onSegment',
             lifecycle: object
           });
@@ -206,7 +230,7 @@ export class Recorder extends EventEmitter {
         if (item.output == 'segmented' && item.segmentCallback) {
           const segmentHandler = item.segmentCallback;
           (item as any).segmentCallback = rpc.registerClosure({
-            handler: (params) => { segmentHandler(params.path as string) },
+            handler: segmentClosureHandler(segmentHandler),
             prefix: 'Microphone.onSegment',
             lifecycle: object
           });
@@ -229,7 +253,12 @@ export class Recorder extends EventEmitter {
 
     const weakRefObject = new WeakRef(object);
     const onAbortInstance = rpc.registerClosure({
-      handler: (params) => { weakRefObject.deref()?.emit('abort', params as AbortReason) },
+      handler: (params) => {
+        const reason = params.error === undefined ? params : { ...params, error: errorFromPayload(params.error, { target }) }
+        const recorder = weakRefObject.deref()
+        if (recorder) { recorder.recording = false }
+        recorder?.emit('abort', reason as AbortReason)
+      },
       prefix: 'Recorder.onAbort',
       lifecycle: object
     });
@@ -239,7 +268,7 @@ export class Recorder extends EventEmitter {
       type: 'Recorder',
       params: { schema, onAbortInstance },
       lifecycle: object
-    });
+    }, options);
 
     return object
   }
@@ -251,6 +280,15 @@ export class Recorder extends EventEmitter {
     this.target = target;
   }
 
+  /**
+   * Whether the connection to the RecordKit process this recorder lives in is lost, for example
+   * because the process exited. A dead recorder can't be used anymore, all its methods reject with a
+   * {@link RPCConnectionLostError}. Create a new recorder instead.
+   */
+  get isDead(): boolean {
+    return this.rpc.isTerminated;
+  }
+
   /**
    * Prepares the recording session for instant recording, allocating resources and validating the
    * configuration.
@@ -262,16 +300,17 @@ export class Recorder extends EventEmitter {
    * recording, allowing you to inspect the planned output (filenames, asset types, sizes) before
    * recording starts.
    */
-  async prepare(): Promise<BundleInfo> {
-    return await this.rpc.perform({ target: this.target, action: 'prepare' }) as BundleInfo;
+  async prepare(options?: RequestOptions): Promise<BundleInfo> {
+    return await this.rpc.perform({ target: this.target, action: 'prepare' }, options) as BundleInfo;
   }
 
   /**
    * Starts recording. If the session was not already {@link prepare}d this performs setup first,
    * incurring a short delay; call {@link prepare} ahead of time to start instantly.
    */
-  async start() {
-    await this.rpc.perform({ target: this.target, action: 'start' });
+  async start(options?: RequestOptions) {
+    await this.rpc.perform({ target: this.target, action: 'start' }, options);
+    this.recording = true;
   }
 
   /**
@@ -279,15 +318,15 @@ export class Recorder extends EventEmitter {
    *
    * Call {@link resume} to continue recording, or {@link stop} to finish.
    */
-  async pause() {
-    await this.rpc.perform({ target: this.target, action: 'pause' });
+  async pause(options?: RequestOptions) {
+    await this.rpc.perform({ target: this.target, action: 'pause' }, options);
   }
 
   /**
    * Resumes a recording that was previously paused with {@link pause}.
    */
-  async resume() {
-    await this.rpc.perform({ target: this.target, action: 'resume' });
+  async resume(options?: RequestOptions) {
+    await this.rpc.perform({ target: this.target, action: 'resume' }, options);
   }
 
   /**
@@ -299,16 +338,61 @@ export class Recorder extends EventEmitter {
    * surfaces it as `PartialResultError`). Any partially-written files do remain on disk in the
    * bundle inside the schema's `output_directory`.
    */
-  async stop(): Promise<RecordingResult> {
-    return await this.rpc.perform({ target: this.target, action: 'stop' }) as RecordingResult;
+  async stop(options?: RequestOptions): Promise<RecordingResult> {
+    const result = await this.rpc.perform({ target: this.target, action: 'stop' }, options) as RecordingResult;
+    this.recording = false;
+    return result;
   }
 
   /**
    * Cancels the recording and releases its resources without finalizing output. Use this to discard
    * an in-progress or prepared recording; call {@link stop} instead to keep the result.
    */
-  async cancel() {
-    await this.rpc.manualRelease(this.target)
+  async cancel(options?: RequestOptions) {
+    await this.rpc.manualRelease(this.target, options)
+    this.recording = false;
+    this.released = true;
+    await this.rpc.dispose(this);
+  }
+
+  /**
+   * Releases the recorder in the RecordKit process and unregisters its callbacks right away, instead
+   * of waiting for it to be garbage collected. Call this once done with a stopped recorder, or use
+   * `await using` to dispose it automatically. Does nothing if the recorder was already released.
+   *
+   * @example
+   * ```ts
+   * await using recorder = await recordkit.createRecorder(schema)
+   * await recorder.start()
+   * const result = await recorder.stop()
+   * ```
+   */
+  async dispose(options?: RequestOptions) {
+    this.recording = false;
+    this.released = true;
+    await this.rpc.dispose(this, options);
+  }
+
+  /** Same as {@link dispose}, for `await using`. */
+  async [Symbol.asyncDispose]() {
+    await this.dispose();
+  }
+
+  /**
+   * Stops the recording if it is in progress and releases the recorder, used by `RecordKit.shutdown`.
+   *
+   * @returns The result of the stopped recording, or `undefined` if it wasn't recording.
+   * @ignore
+   */
+  async shutdown(options?: RequestOptions): Promise<RecordingResult | undefined> {
+    if (this.isDead || this.released) {
+      return undefined;
+    }
+    try {
+      return this.recording ? await this.stop(options) : undefined;
+    } finally {
+      await this.cancel(options);
+    }
   }
 }
 
@@ -404,6 +488,18 @@ export interface Size {
  */
 export type ScreenRecordingExcludeOption = 'currentProcess' | 'screenRecordingIndicator'
 
+// Written as a union so callbacks that return something else, such as `(path) => paths.push(path)`, still type-check.
+/**
+ * Called with the path of each segment once it is written to disk, when using segmented output.
+ *
+ * The callback may return a promise, for example to move, hash or upload the segment first. The
+ * segment is then acknowledged to RecordKit once the promise settles; a rejection is reported back
+ * to RecordKit as an error.
+ *
+ * @group Recording Schemas
+ */
+export type SegmentCallback = ((url: string) => void) | ((url: string) => Promise<void>)
+
 /**
  * Output configuration for JSON sidecar files such as the mouse/keyboard input-event log.
  *
@@ -415,7 +511,7 @@ export type ScreenRecordingExcludeOption = 'currentProcess' | 'screenRecordingIn
  */
 export type JSONOutputOptions =
   | { output?: 'singleFile', filename?: string }
-  | { output: 'segmented', filenamePrefix?: string, segmentCallback?: (url: string) => void }
+  | { output: 'segmented', filenamePrefix?: string, segmentCallback?: SegmentCallback }
 
 interface WebcamSchemaBase {
   type: 'webcam'
@@ -455,7 +551,7 @@ export type WebcamSchema =
   | (WebcamSchemaBase & {
       output: 'segmented'
       filenamePrefix?: string
-      segmentCallback?: (url: string) => void
+      segmentCallback?: SegmentCallback
     })
 
 /**
@@ -594,7 +690,7 @@ export type DisplaySchema =
   | (DisplaySchemaBase & {
       output: 'segmented'
       filenamePrefix?: string
-      segmentCallback?: (url: string) => void
+      segmentCallback?: SegmentCallback
     })
 
 interface WindowBasedCropSchemaBase {
@@ -634,7 +730,7 @@ export type WindowBasedCropSchema =
   | (WindowBasedCropSchemaBase & {
       output: 'segmented'
       filenamePrefix?: string
-      segmentCallback?: (url: string) => void
+      segmentCallback?: SegmentCallback
     })
 
 interface DesktopIndependentWindowSchemaBase {
@@ -673,7 +769,7 @@ export type DesktopIndependentWindowSchema =
   | (DesktopIndependentWindowSchemaBase & {
       output: 'segmented'
       filenamePrefix?: string
-      segmentCallback?: (url: string) => void
+      segmentCallback?: SegmentCallback
     })
 
 /**
@@ -774,7 +870,7 @@ export type SystemAudioSchema = {
   excludedProcessIDs?: number[] // Int32
   output: 'segmented'
   filenamePrefix?: string
-  segmentCallback?: (url: string) => void
+  segmentCallback?: SegmentCallback
 } | {
   type: 'systemAudio'
   mode: 'exclude'
@@ -798,7 +894,7 @@ export type SystemAudioSchema = {
   includedApplicationIDs?: number[] // Int32
   output: 'segmented'
   filenamePrefix?: string
-  segmentCallback?: (url: string) => void
+  segmentCallback?: SegmentCallback
 } | {
   type: 'systemAudio'
   mode: 'include'
@@ -826,7 +922,7 @@ export type ApplicationAudioSchema = {
   backend?: SystemAudioBackend
   output: 'segmented'
   filenamePrefix?: string
-  segmentCallback?: (url: string) => void
+  segmentCallback?: SegmentCallback
 } | {
   type: 'applicationAudio'
   applicationID: number // Int32
@@ -860,7 +956,7 @@ export type MicrophoneSchema =
       audioDelay?: number
       output: 'segmented'
       filenamePrefix?: string
-      segmentCallback?: (url: string) => void
+      segmentCallback?: SegmentCallback
     })
   | (MicrophoneSchemaCommon & {
       output: 'stream'
@@ -890,8 +986,8 @@ export interface AudioStreamBuffer {
  */
 export type AbortReason =
   | { reason: 'userStopped'; result: RecordingResult; }
-  | { reason: 'interrupted'; result: RecordingResult; error: RecordKitError | NSErrorPayload; }
-  | { reason: 'failed'; result: RecordingResult; error: RecordKitError | NSErrorPayload; }
+  | { reason: 'interrupted'; result: RecordingResult; error: RecordKitError | NSError; }
+  | { reason: 'failed'; result: RecordingResult; error: RecordKitError | NSError; }
 
 /**
  * @group Recording
@@ -901,62 +997,6 @@ export interface RecordingResult {
   info: BundleInfo
 }
 
-/**
- * Errors produced by RecordKit include user-friendly messages suitable for display in your UI.
- *
- * See the [Logging and Error Handling guide](https://recordkit.dev/guides/logging-and-errors#error-handling) for more information.
- */
-export interface RecordKitError {
-  name: "RecordKitError"
-  /** Error code, used for grouping related errors. See {@link RecordKitErrorCode} for the full list of codes. */
-  code: RecordKitErrorCode
-  /** Error code number. See {@link RECORDKIT_ERROR_CODE_NUMBERS}. */
-  codeNumber: number
-  /** Message describing the problem and possible recovery options, intended to be shown directly to the end-user. */
-  message: string
-  /** Detailed technical description of this error, used in debugging */
-  debugDescription: string
-}
-
-/**
- * An error produced outside RecordKit's own error domain — a raw `NSError` surfaced over the bridge.
- *
- * Distinguished from {@link RecordKitError} by its `name` discriminator. See the
- * [Logging and Error Handling guide](https://recordkit.dev/guides/logging-and-errors#error-handling).
- *
- * @group Recording
- */
-export interface NSErrorPayload {
-  name: "NSError"
-  /** The `NSError` domain (e.g. `"NSOSStatusErrorDomain"`). */
-  errorDomain: string
-  /** The `NSError` code within {@link NSErrorPayload.errorDomain}. */
-  errorCode: number
-  /** Localized, user-facing description of the error. */
-  message: string
-  /** Detailed technical description of this error, used in debugging. */
-  debugDescription: string
-}
-
-/**
- * An error raised by the RPC bridge itself rather than by a RecordKit recording — for example
- * calling a method on a recorder that was already cancelled, requesting a feature that needs a
- * newer macOS version, or referencing a window or camera that cannot be found.
- *
- * Distinguished from {@link RecordKitError} and {@link NSErrorPayload} by its `name` discriminator.
- *
- * @group Recording
- */
-export interface RPCErrorPayload {
-  name: "RPCError"
-  /** Message describing the problem, intended to be shown directly to the end-user. */
-  message: string
-  /** The same message as {@link RPCErrorPayload.message}, kept under its legacy field name. */
-  userMessage: string
-  /** Detailed technical description of this error, used in debugging. */
-  debugDescription: string
-}
-
 /**
  * Describes a recording bundle's contents (the parsed `recordkit.json`). Mirrors the Swift
  * `RKBundleInfo`; the per-event sidecar types live in `RecordingMetadata.ts`.
@@ -0,0 +1,84 @@
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ReplayTransport, TranscriptEntry } from './Transcript.js';
+import { InMemoryTransport } from './Transport.js';
+import { RecordKit } from './RecordKit.js';
+
+const display = { id: 1, symbolName: 'display', frame: { x: 0, y: 0, width: 1920, height: 1080 }, isMain: true, availability: 'available' };
+
+// Records a session with a fake RecordKit process that logs a message right after listing the displays.
+async function recordSession(path: string) {
+  const [client, server] = InMemoryTransport.pair();
+  let logHandlerInstance: string | undefined;
+  await server.start({
+    message: (data) => {
+      const request = JSON.parse(data);
+      if (request.procedure === undefined) return;
+      if (request.action === 'setLogHandler') logHandlerInstance = request.params.logHandlerInstance;
+      const result = request.action === 'getDisplays' ? [display] : undefined;
+      server.send(JSON.stringify({ nsrpc: 1, id: request.id, status: 200, result }));
+      if (request.action === 'getDisplays') {
+        server.send(JSON.stringify({ nsrpc: 1, id: 'req_log', procedure: 'perform', target: logHandlerInstance, params: { formattedMessage: 'Found 1 display' } }));
+      }
+    },
+    close: () => { },
+  });
+
+  const recordkit = new RecordKit();
+  recordkit.on('log', () => { });
+  await recordkit.initialize({ transport: client, recordTranscript: path });
+  await recordkit.getDisplays();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await recordkit.shutdown();
+}
+
+describe('transcripts', () => {
+  let directory: string;
+  let path: string;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'recordkit-'));
+    path = join(directory, 'transcript.jsonl');
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('records every message with its direction and time', async () => {
+    await recordSession(path);
+    const entries = readFileSync(path, 'utf8').trim().split('\n').map((line) => JSON.parse(line) as TranscriptEntry);
+    expect(entries.map((entry) => [entry.direction, entry.message.action ?? entry.message.status ?? entry.message.procedure])).toEqual([
+      ['send', 'handshake'], ['receive', 200],
+      ['send', 'setLogHandler'], ['receive', 200],
+      ['send', 'getDisplays'], ['receive', 200], ['receive', 'perform'], ['send', 200],
+    ]);
+    expect(entries.every((entry) => typeof entry.time === 'number')).toBe(true);
+  });
+
+  it('replays a recorded session, mapping recorded ids and targets to live ones', async () => {
+    await recordSession(path);
+
+    const transport = new ReplayTransport(path);
+    const recordkit = new RecordKit();
+    const logs: string[] = [];
+    recordkit.on('log', (message) => logs.push(message.formattedMessage));
+    await recordkit.initialize({ transport });
+    await expect(recordkit.getDisplays()).resolves.toEqual([display]);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(logs).toEqual(['Found 1 display']);
+    expect(transport.remainingRequests).toEqual([]);
+    await transport.close();
+  });
+
+  it('rejects requests that were not recorded', async () => {
+    await recordSession(path);
+
+    const recordkit = new RecordKit();
+    await recordkit.initialize({ transport: new ReplayTransport(path) });
+    await expect(recordkit.getWindows()).rejects.toThrow('No recorded request left that matches perform Recorder getWindows');
+  });
+});
@@ -0,0 +1,273 @@
+import { createWriteStream, readFileSync } from 'node:fs'
+import type { WriteStream } from 'node:fs'
+import { finished } from 'node:stream/promises'
+import { log } from './Logger.js'
+import { RPCTransport, RPCTransportHandlers } from './Transport.js'
+
+/**
+ * One message in an NSRPC transcript, as written by {@link RecordingTransport}. A transcript file
+ * contains one entry per line, serialized as JSON.
+ *
+ * @group Transports
+ */
+export interface TranscriptEntry {
+  /** Time in milliseconds since the transport was started. */
+  time: number
+  /** Whether RecordKit sent the message to the RecordKit process, or received it from the process. */
+  direction: 'send' | 'receive'
+  /** The NSRPC message, or the raw string if it wasn't valid JSON. */
+  message: any
+}
+
+/**
+ * Wraps another transport and writes every message it sends and receives to a transcript file,
+ * replacing the file if it exists unless `append` is set. Replay the transcript with {@link ReplayTransport}.
+ *
+ * Usually created by passing `recordTranscript` to `RecordKit.initialize`.
+ *
+ * @group Transports
+ */
+export class RecordingTransport implements RPCTransport {
+  private startTime = 0
+  private stream?: WriteStream
+
+  /**
+   * @param transport - The transport that actually connects to the RecordKit process.
+   * @param path - Path of the transcript file to write.
+   * @param options.append - Append to the file instead of replacing it, e.g. to keep the transcript of a previous connection. Defaults to `false`.
+   */
+  constructor(
+    private readonly transport: RPCTransport,
+    private readonly path: string,
+    private readonly options: { append?: boolean } = {}
+  ) { }
+
+  async start(handlers: RPCTransportHandlers): Promise<void> {
+    // Written asynchronously, so recording audio buffers and segments doesn't block the event loop on disk I/O.
+    this.stream = createWriteStream(this.path, { flags: this.options.append ? 'a' : 'w' })
+    this.stream.on('error', (error) => { log.error('RPC', `Failed to write transcript to ${this.path}.`, error) })
+    this.startTime = Date.now()
+    await this.transport.start({
+      message: (data) => {
+        this.record('receive', data)
+        handlers.message(data)
+      },
+      close: (error) => {
+        this.stream?.end()
+        handlers.close(error)
+      },
+    })
+  }
+
+  send(message: string) {
+    this.record('send', message)
+    this.transport.send(message)
+  }
+
+  /** Closes the transport, resolves once every message is written to the transcript. */
+  async close(): Promise<void> {
+    await this.transport.close()
+    if (this.stream !== undefined) {
+      this.stream.end()
+      // Write errors are logged as they happen.
+      await finished(this.stream).catch(() => { })
+    }
+  }
+
+  private record(direction: TranscriptEntry['direction'], data: string) {
+    let message: any
+    try {
+      message = JSON.parse(data)
+    } catch {
+      message = data
+    }
+    const entry: TranscriptEntry = { time: Date.now() - this.startTime, direction, message }
+    if (this.stream?.writable) {
+      this.stream.write(JSON.stringify(entry) + '\n')
+    }
+  }
+}
+
+/**
+ * Plays back a transcript written by {@link RecordingTransport}, standing in for the RecordKit
+ * process so `RecordKit` and `Recorder` can be exercised end-to-end without the `recordkit-rpc` binary.
+ *
+ * Every request RecordKit sends is matched to the first recorded request, that isn't replayed yet,
+ * with the same procedure, type, action and target. Request ids and targets contain random UUIDs, so
+ * these are ignored when matching and the recorded UUIDs are replaced with the live ones in the
+ * replayed messages. After a request is matched, the messages the process sent after it are replayed
+ * up to the next recorded request that RecordKit hasn't sent yet.
+ *
+ * Releases depend on when the garbage collector runs, so they are answered directly instead of being
+ * replayed from the transcript.
+ *
+ * @example
+ * ```ts
+ * const transport = new ReplayTransport('fixtures/recording.jsonl')
+ * await recordkit.initialize({ transport })
+ * ```
+ *
+ * @group Transports
+ */
+export class ReplayTransport implements RPCTransport {
+  private readonly entries: TranscriptEntry[]
+  private readonly replayed = new Set<TranscriptEntry>()
+  /** Recorded UUIDs mapped to the UUIDs used in this run. */
+  private readonly uuids = new Map<string, string>()
+  private cursor = 0
+  private handlers?: RPCTransportHandlers
+  private emitting: Promise<void> = Promise.resolve()
+  private closed = false
+
+  /**
+   * @param transcript - Path of a transcript file, or its entries.
+   * @param options.realtime - Replay messages from the process with the delays they were recorded with, instead of as fast as possible. Defaults to `false`.
+   */
+  constructor(
+    transcript: string | TranscriptEntry[],
+    private readonly options: { realtime?: boolean } = {}
+  ) {
+    this.entries = typeof transcript === 'string' ? readTranscript(transcript) : transcript
+  }
+
+  /** Recorded requests that haven't been matched by a request RecordKit sent. */
+  get remainingRequests(): TranscriptEntry[] {
+    return this.entries.filter((entry) => isRecordedRequest(entry) && !this.replayed.has(entry))
+  }
+
+  async start(handlers: RPCTransportHandlers): Promise<void> {
+    if (this.handlers !== undefined) { throw new Error('RecordKit: [Replay] Already started.') }
+    this.handlers = handlers
+    this.advance()
+  }
+
+  send(data: string) {
+    if (this.closed) { throw new Error('RecordKit: [Replay] !! Transport is closed, cannot send to it.') }
+    const message = JSON.parse(data)
+
+    if (!('procedure' in message)) {
+      // A response to a replayed request from the process, only consume it so it doesn't block replay.
+      const entry = this.entries.find((entry) => !this.replayed.has(entry) && entry.direction === 'send' && entry.message?.id === this.recordedUuids(message.id))
+      if (entry) { this.replayed.add(entry) }
+      this.advance()
+      return
+    }
+
+    if (message.procedure === 'release' || message.procedure === 'manual-release') {
+      this.emit({ nsrpc: message.nsrpc, id: message.id, status: 200 }, 0)
+      return
+    }
+
+    const key = requestKey(message)
+    const entry = this.entries.find((entry, index) => index >= this.cursor && isRecordedRequest(entry) && !this.replayed.has(entry) && requestKey(entry.message) === key)
+    if (!entry) {
+      throw new Error(`RecordKit: [Replay] !! No recorded request left that matches ${key}.`)
+    }
+    this.replayed.add(entry)
+    mapUuids(entry.message, message, this.uuids)
+    this.advance()
+  }
+
+  async close(): Promise<void> {
+    if (this.closed) {
+      return
+    }
+    this.closed = true
+    this.handlers?.close(new Error('RecordKit: [Replay] Transport is closed.'))
+  }
+
+  /** Replays the messages from the process up to the next request RecordKit hasn't sent yet. */
+  private advance() {
+    if (this.handlers === undefined) {
+      return
+    }
+
+    while (this.cursor < this.entries.length) {
+      const entry = this.entries[this.cursor]
+      if (entry.direction === 'send' && !this.replayed.has(entry) && !isRecordedRelease(entry)) {
+        return
+      }
+      this.cursor += 1
+      if (entry.direction === 'receive' && !this.isReleaseResponse(entry)) {
+        const previous = this.entries[this.cursor - 2]
+        this.emit(this.replaceUuids(entry.message), previous ? entry.time - previous.time : 0)
+      }
+    }
+  }
+
+  private emit(message: any, delay: number) {
+    const data = typeof message === 'string' ? message : JSON.stringify(message)
+    this.emitting = this.emitting.then(() => new Promise<void>((resolve) => {
+      const deliver = () => {
+        if (!this.closed) {
+          this.handlers?.message(data)
+        }
+        resolve()
+      }
+      if (this.options.realtime && delay > 0) {
+        setTimeout(deliver, delay)
+      } else {
+        setImmediate(deliver)
+      }
+    }))
+  }
+
+  private isReleaseResponse(entry: TranscriptEntry): boolean {
+    const message = entry.message
+    return typeof message === 'object' && message !== null && 'status' in message && this.entries.some((request) => isRecordedRelease(request) && request.message.id === message.id)
+  }
+
+  private replaceUuids(message: any): any {
+    const replace = (data: string) => data.replace(UUID_PATTERN, (uuid) => this.uuids.get(uuid) ?? uuid)
+    return typeof message === 'string' ? replace(message) : JSON.parse(replace(JSON.stringify(message)))
+  }
+
+  /** Maps live UUIDs back to the recorded ones. */
+  private recordedUuids(value: string): string {
+    return value.replace(UUID_PATTERN, (uuid) => {
+      for (const [recorded, live] of this.uuids) {
+        if (live === uuid) { return recorded }
+      }
+      return uuid
+    })
+  }
+}
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi
+
+function readTranscript(path: string): TranscriptEntry[] {
+  return readFileSync(path, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) => JSON.parse(line) as TranscriptEntry)
+}
+
+function isRecordedRequest(entry: TranscriptEntry): boolean {
+  return entry.direction === 'send' && typeof entry.message === 'object' && entry.message !== null && 'procedure' in entry.message
+}
+
+function isRecordedRelease(entry: TranscriptEntry): boolean {
+  return isRecordedRequest(entry) && (entry.message.procedure === 'release' || entry.message.procedure === 'manual-release')
+}
+
+function requestKey(message: any): string {
+  const target = typeof message.target === 'string' ? message.target.replace(UUID_PATTERN, '*') : undefined
+  return [message.procedure, message.type, target, message.action].filter((part) => part !== undefined).join(' ')
+}
+
+/** Pairs the UUIDs in a recorded message with the UUIDs at the same place in the live message. */
+function mapUuids(recorded: any, live: any, uuids: Map<string, string>) {
+  if (typeof recorded === 'string' && typeof live === 'string') {
+    const recordedUuids = recorded.match(UUID_PATTERN) ?? []
+    const liveUuids = live.match(UUID_PATTERN) ?? []
+    if (recordedUuids.length === liveUuids.length) {
+      recordedUuids.forEach((uuid, index) => uuids.set(uuid, liveUuids[index]))
+    }
+  } else if (typeof recorded === 'object' && recorded !== null && typeof live === 'object' && live !== null) {
+    for (const key of Object.keys(recorded)) {
+      if (key in live) {
+        mapUuids(recorded[key], live[key], uuids)
+      }
+    }
+  }
+}
@@ -0,0 +1,82 @@
+import { createServer, Server } from 'node:net';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import * as readline from 'readline';
+import { InMemoryTransport, SocketTransport } from './Transport.js';
+import { RecordKit } from './RecordKit.js';
+
+// A fake RecordKit process: answers every request with the result `results` holds for its action.
+function fakeProcess(send: (data: string) => void, results: Record<string, unknown> = {}) {
+  const requests: any[] = [];
+  const message = (data: string) => {
+    const request = JSON.parse(data);
+    if (request.procedure === undefined) return; // a response to one of our own requests
+    requests.push(request);
+    send(JSON.stringify({ nsrpc: 1, id: request.id, status: 200, result: results[request.action] }));
+  };
+  return { requests, message };
+}
+
+describe('InMemoryTransport', () => {
+  it('delivers messages to the other end, including ones sent before it started', async () => {
+    const [a, b] = InMemoryTransport.pair();
+    const received: string[] = [];
+    await a.start({ message: () => { }, close: () => { } });
+    a.send('early');
+    await new Promise((resolve) => setImmediate(resolve));
+    await b.start({ message: (data) => received.push(data), close: () => { } });
+    a.send('late');
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(received).toEqual(['early', 'late']);
+  });
+
+  it('closes both ends', async () => {
+    const [a, b] = InMemoryTransport.pair();
+    const closed: string[] = [];
+    await a.start({ message: () => { }, close: () => closed.push('a') });
+    await b.start({ message: () => { }, close: () => closed.push('b') });
+    await a.close();
+    expect(closed).toEqual(['a', 'b']);
+    expect(() => b.send('message')).toThrow('closed');
+  });
+
+  it('runs RecordKit end-to-end without the recordkit-rpc binary', async () => {
+    const [client, server] = InMemoryTransport.pair();
+    const display = { id: 1, symbolName: 'display', frame: { x: 0, y: 0, width: 1920, height: 1080 }, isMain: true, availability: 'available' };
+    const fake = fakeProcess((data) => server.send(data), { getDisplays: [display] });
+    await server.start({ message: fake.message, close: () => { } });
+
+    const recordkit = new RecordKit();
+    await recordkit.initialize({ transport: client });
+    await expect(recordkit.getDisplays()).resolves.toEqual([display]);
+    expect(fake.requests.map((r) => `${r.type}.${r.action}`)).toEqual(['NSRPC.handshake', 'Logger.setLogHandler', 'Recorder.getDisplays']);
+    await client.close();
+  });
+});
+
+describe('SocketTransport', () => {
+  let directory: string;
+  let server: Server;
+
+  beforeEach(() => { directory = mkdtempSync(join(tmpdir(), 'recordkit-')); });
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('exchanges newline-delimited messages over a Unix domain socket', async () => {
+    const path = join(directory, 'recordkit.sock');
+    server = createServer((socket) => {
+      const fake = fakeProcess((data) => socket.write(data + '\n'), { getWindows: [] });
+      readline.createInterface({ input: socket }).on('line', fake.message);
+    });
+    await new Promise<void>((resolve) => server.listen(path, resolve));
+
+    const recordkit = new RecordKit();
+    const transport = new SocketTransport({ path });
+    await recordkit.initialize({ transport });
+    await expect(recordkit.getWindows()).resolves.toEqual([]);
+    await transport.close();
+  });
+});
@@ -0,0 +1,309 @@
+import { ChildProcess, spawn } from 'node:child_process';
+import * as net from 'node:net';
+import * as readline from 'readline';
+import { log } from './Logger.js';
+
+/**
+ * Callbacks a {@link RPCTransport} reports to once started.
+ *
+ * @group Transports
+ */
+export interface RPCTransportHandlers {
+  /** Called with every incoming message, one serialized NSRPC message per call. */
+  message(data: string): void
+  /** Called once when the connection is gone for good, after which no messages can be sent or received. */
+  close(error: Error): void
+}
+
+/**
+ * A connection to the RecordKit process that NSRPC messages are exchanged over.
+ *
+ * RecordKit spawns the `recordkit-rpc` binary and talks to it over stdin/stdout by default (see
+ * {@link StdioTransport}). Pass a different transport as `transport` to `RecordKit.initialize` to
+ * run the same protocol over a socket, a WebSocket or an in-memory pair for tests.
+ *
+ * @group Transports
+ */
+export interface RPCTransport {
+  /** Opens the connection, messages can be sent once the returned promise resolves. */
+  start(handlers: RPCTransportHandlers): Promise<void>
+  /** Sends one serialized NSRPC message, throws if the connection is gone. */
+  send(message: string): void
+  /** Closes the connection, resolves once it is closed. */
+  close(): Promise<void>
+}
+
+/**
+ * Spawns the `recordkit-rpc` binary and exchanges newline-delimited messages over its stdin and stdout.
+ *
+ * This is the transport RecordKit uses when initialized with an `rpcBinaryPath`.
+ *
+ * @group Transports
+ */
+export class StdioTransport implements RPCTransport {
+  private childProcess?: ChildProcess
+
+  /**
+   * @param path - Path to the `recordkit-rpc` binary.
+   * @param options.stderr - Called with every line the process writes to stderr. When omitted, stderr is ignored.
+   * @param options.closeTimeout - Time in milliseconds {@link close} waits for the process to exit by itself before killing it. Defaults to `5000`.
+   */
+  constructor(
+    private readonly path: string,
+    private readonly options: { stderr?: (line: string) => void, closeTimeout?: number } = {}
+  ) { }
+
+  async start(handlers: RPCTransportHandlers): Promise<void> {
+    if (this.childProcess !== undefined) { throw new Error('RecordKit: [RPC] Already started.') }
+
+    this.childProcess = await new Promise<ChildProcess>((resolve, reject) => {
+      const childProcess = spawn(this.path, { stdio: ['pipe', 'pipe', this.options.stderr ? 'pipe' : 'ignore'] })
+      childProcess.on('close', (code, signal) => { log.info('RPC', `Closed with code ${code} and signal ${signal}`) })
+      childProcess.on('error', (error) => { reject(error) })
+      childProcess.on('exit', (code, signal) => { log.info('RPC', `Exited with code ${code} and signal ${signal}`) })
+      childProcess.on('spawn', () => { resolve(childProcess) })
+    })
+
+    this.childProcess.on('close', (code, signal) => {
+      handlers.close(new Error(`RecordKit: [RPC] Process is gone (closed with code ${code} and signal ${signal}).`))
+    })
+    this.childProcess.stdin?.on('error', (error) => {
+      // Without an error listener, a failed write to a dead process would crash Node with an
+      // unhandled 'error' event. The 'close' handler above already reports the connection is gone.
+      log.error('RPC', 'Failed to write to RPC process.', error)
+    })
+
+    const { stdout, stderr } = this.childProcess
+    if (!stdout) { throw new Error('RecordKit: [RPC] !! No stdout stream on child process.') }
+
+    readline.createInterface({ input: stdout }).on('line', (line) => {
+      handlers.message(line)
+    })
+
+    const onStderr = this.options.stderr
+    if (stderr && onStderr) {
+      readline.createInterface({ input: stderr }).on('line', onStderr)
+    }
+  }
+
+  send(message: string) {
+    const stdin = this.childProcess?.stdin
+    if (!stdin) { throw new Error('RecordKit: [RPC] !! Missing stdin stream.') }
+    if (stdin.destroyed) { throw new Error('RecordKit: [RPC] !! Process is gone, cannot write to its stdin.') }
+    stdin.write(message + "\n")
+  }
+
+  /** Closes stdin so the process can exit by itself, and kills it if it doesn't within the close timeout. */
+  async close(): Promise<void> {
+    const childProcess = this.childProcess
+    if (childProcess === undefined || childProcess.exitCode !== null || childProcess.signalCode !== null) {
+      return
+    }
+
+    const closed = new Promise<void>((resolve) => { childProcess.once('close', () => resolve()) })
+    childProcess.stdin?.end()
+    const timer = setTimeout(() => { childProcess.kill() }, this.options.closeTimeout ?? 5000)
+    await closed
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Exchanges newline-delimited messages over a stream socket, such as a Unix domain socket, a
+ * Windows named pipe or a TCP connection, to a `recordkit-rpc` process started elsewhere.
+ *
+ * @example
+ * ```ts
+ * await recordkit.initialize({ transport: new SocketTransport({ path: '/tmp/recordkit.sock' }) })
+ * ```
+ *
+ * @group Transports
+ */
+export class SocketTransport implements RPCTransport {
+  private socket?: net.Socket
+
+  /** @param options - Where to connect to, as accepted by Node's `net.connect`, e.g. `{ path }` or `{ host, port }`. */
+  constructor(private readonly options: net.NetConnectOpts) { }
+
+  async start(handlers: RPCTransportHandlers): Promise<void> {
+    if (this.socket !== undefined) { throw new Error('RecordKit: [RPC] Already started.') }
+
+    const socket = net.connect(this.options)
+    this.socket = socket
+    await new Promise<void>((resolve, reject) => {
+      socket.once('connect', resolve)
+      socket.once('error', reject)
+    })
+
+    socket.on('error', (error) => { log.error('RPC', 'Socket error.', error) })
+    socket.on('close', () => { handlers.close(new Error('RecordKit: [RPC] Socket is closed.')) })
+    readline.createInterface({ input: socket }).on('line', (line) => {
+      handlers.message(line)
+    })
+  }
+
+  send(message: string) {
+    const socket = this.socket
+    if (!socket) { throw new Error('RecordKit: [RPC] !! Socket is not connected.') }
+    if (socket.destroyed) { throw new Error('RecordKit: [RPC] !! Socket is closed, cannot write to it.') }
+    socket.write(message + "\n")
+  }
+
+  async close(): Promise<void> {
+    const socket = this.socket
+    if (socket === undefined || socket.destroyed) {
+      return
+    }
+    const closed = new Promise<void>((resolve) => { socket.once('close', () => resolve()) })
+    socket.end()
+    await closed
+  }
+}
+
+/**
+ * The subset of the WebSocket API used by {@link WebSocketTransport}, implemented by the global
+ * `WebSocket` and by the `ws` package.
+ *
+ * @group Transports
+ */
+export interface WebSocketLike {
+  readonly readyState: number
+  send(data: string): void
+  close(): void
+  addEventListener(type: 'open' | 'close' | 'error' | 'message', listener: (event: any) => void): void
+}
+
+/**
+ * Exchanges messages over a WebSocket, one NSRPC message per WebSocket message, for a
+ * `recordkit-rpc` helper running elsewhere.
+ *
+ * @group Transports
+ */
+export class WebSocketTransport implements RPCTransport {
+  private socket?: WebSocketLike
+
+  /**
+   * @param socketOrUrl - URL to connect to using the global `WebSocket` (Node 22 and later), or an
+   * already created WebSocket, e.g. from the `ws` package.
+   */
+  constructor(private readonly socketOrUrl: string | URL | WebSocketLike) { }
+
+  async start(handlers: RPCTransportHandlers): Promise<void> {
+    if (this.socket !== undefined) { throw new Error('RecordKit: [RPC] Already started.') }
+
+    let socket: WebSocketLike
+    if (typeof this.socketOrUrl === 'string' || this.socketOrUrl instanceof URL) {
+      const WebSocketImplementation = (globalThis as any).WebSocket
+      if (WebSocketImplementation === undefined) {
+        throw new Error('RecordKit: [RPC] No global WebSocket available, pass a WebSocket instance (e.g. from the `ws` package) instead of a URL.')
+      }
+      socket = new WebSocketImplementation(this.socketOrUrl)
+    } else {
+      socket = this.socketOrUrl
+    }
+    this.socket = socket
+
+    if (socket.readyState === 0 /* CONNECTING */) {
+      await new Promise<void>((resolve, reject) => {
+        socket.addEventListener('open', () => resolve())
+        socket.addEventListener('error', () => reject(new Error('RecordKit: [RPC] Failed to connect WebSocket.')))
+      })
+    }
+
+    socket.addEventListener('message', (event) => { handlers.message(String(event.data)) })
+    socket.addEventListener('close', () => { handlers.close(new Error('RecordKit: [RPC] WebSocket is closed.')) })
+  }
+
+  send(message: string) {
+    const socket = this.socket
+    if (!socket) { throw new Error('RecordKit: [RPC] !! WebSocket is not connected.') }
+    if (socket.readyState !== 1 /* OPEN */) { throw new Error('RecordKit: [RPC] !! WebSocket is closed, cannot send to it.') }
+    socket.send(message)
+  }
+
+  async close(): Promise<void> {
+    const socket = this.socket
+    if (socket === undefined || socket.readyState === 3 /* CLOSED */) {
+      return
+    }
+    const closed = new Promise<void>((resolve) => { socket.addEventListener('close', () => resolve()) })
+    socket.close()
+    await closed
+  }
+}
+
+/**
+ * One end of an in-memory connection, for tests that exercise RecordKit without the
+ * `recordkit-rpc` binary. Create a connected pair with {@link InMemoryTransport.pair}, pass one
+ * end to `RecordKit.initialize` and answer requests on the other.
+ *
+ * @example
+ * ```ts
+ * const [client, server] = InMemoryTransport.pair()
+ * await server.start({
+ *   message: (data) => {
+ *     const request = JSON.parse(data)
+ *     server.send(JSON.stringify({ nsrpc: 1, id: request.id, status: 200 }))
+ *   },
+ *   close: () => { },
+ * })
+ * await recordkit.initialize({ transport: client })
+ * ```
+ *
+ * @group Transports
+ */
+export class InMemoryTransport implements RPCTransport {
+  private peer?: InMemoryTransport
+  private handlers?: RPCTransportHandlers
+  /** Messages that arrived before {@link start} was called. */
+  private pending: string[] = []
+  private closed = false
+
+  /** Creates two connected ends, messages sent on one are received by the other. */
+  static pair(): [InMemoryTransport, InMemoryTransport] {
+    const a = new InMemoryTransport()
+    const b = new InMemoryTransport()
+    a.peer = b
+    b.peer = a
+    return [a, b]
+  }
+
+  /** @ignore */
+  private constructor() { }
+
+  async start(handlers: RPCTransportHandlers): Promise<void> {
+    if (this.handlers !== undefined) { throw new Error('RecordKit: [RPC] Already started.') }
+    this.handlers = handlers
+    for (const message of this.pending.splice(0)) {
+      handlers.message(message)
+    }
+  }
+
+  send(message: string) {
+    if (this.closed) { throw new Error('RecordKit: [RPC] !! In-memory transport is closed, cannot send to it.') }
+    this.peer?.deliver(message)
+  }
+
+  async close(): Promise<void> {
+    if (this.closed) {
+      return
+    }
+    this.closed = true
+    this.handlers?.close(new Error('RecordKit: [RPC] In-memory transport is closed.'))
+    await this.peer?.close()
+  }
+
+  private deliver(message: string) {
+    // Deliver asynchronously, like any real transport would.
+    setImmediate(() => {
+      if (this.closed) {
+        return
+      }
+      if (this.handlers === undefined) {
+        this.pending.push(message)
+      } else {
+        this.handlers.message(message)
+      }
+    })
+  }
+}
@@ -0,0 +1,60 @@
+import { findWindows } from './WindowQuery.js';
+import { WINDOW_LEVELS } from './WindowLevels.js';
+import type { Display, RunningApplication, Window } from './RecordKit.js';
+
+describe('findWindows', () => {
+  const display = (id: number, x: number): Display =>
+    ({ id, symbolName: 'display', frame: { x, y: 0, width: 1000, height: 800 }, isMain: x === 0, availability: 'available' });
+  const displays = [display(1, 0), display(2, 1000)];
+  const applications: RunningApplication[] = [
+    { id: 10, name: 'Safari', bundle_identifier: 'com.apple.Safari', availability: 'available' },
+    { id: 20, name: 'Notes', bundle_identifier: 'com.apple.Notes', availability: 'available' },
+  ];
+  const window = (id: number, properties: Partial<Window> = {}): Window => ({
+    id,
+    title: `Window ${id}`,
+    frame: { x: 100, y: 100, width: 400, height: 300 },
+    level: WINDOW_LEVELS.normal,
+    application_process_id: 10,
+    application_name: 'Safari',
+    ...properties,
+  });
+  const ids = (windows: { id: number }[]) => windows.map((w) => w.id);
+
+  it('leaves out the menu bar, overlays and cursor by default and sorts front to back', () => {
+    const windows = [
+      window(1),
+      window(2, { level: WINDOW_LEVELS.mainMenu }),
+      window(3, { level: WINDOW_LEVELS.floating }),
+      window(4, { level: WINDOW_LEVELS.cursorWindow }),
+      window(5),
+    ];
+    expect(ids(findWindows(windows, applications, displays, {}, 1))).toEqual([3, 1, 5]);
+    expect(ids(findWindows(windows, applications, displays, { levels: ['mainMenu', 3] }, 1))).toEqual([2, 3]);
+  });
+
+  it('adds the application and the display showing most of the window', () => {
+    const [found] = findWindows([window(1, { frame: { x: 900, y: 0, width: 400, height: 300 } })], applications, displays, {}, 1);
+    expect(found.application?.bundle_identifier).toBe('com.apple.Safari');
+    expect(found.display?.id).toBe(2);
+  });
+
+  it('filters by application, title, size, process and display', () => {
+    const windows = [
+      window(1, { title: 'Inbox — Mail' }),
+      window(2, { application_process_id: 20, application_name: 'Notes', title: 'Shopping list' }),
+      window(3, { frame: { x: 1200, y: 0, width: 40, height: 30 }, title: undefined }),
+      window(4, { application_process_id: 99, application_name: 'Me' }),
+    ];
+    const find = (query: Parameters<typeof findWindows>[3]) => ids(findWindows(windows, applications, displays, query, 99));
+
+    expect(find({ applicationName: 'Notes' })).toEqual([2]);
+    expect(find({ applicationName: /^saf/i })).toEqual([1, 3]);
+    expect(find({ bundleIdentifier: ['com.apple.Notes'] })).toEqual([2]);
+    expect(find({ processId: [20, 99] })).toEqual([2, 4]);
+    expect(find({ titleMatches: 'inbox' })).toEqual([1]);
+    expect(find({ minSize: { width: 100, height: 100 } })).toEqual([1, 2, 4]);
+    expect(find({ excludeCurrentProcess: true })).toEqual([1, 2, 3]);
+    expect(find({ onDisplay: 2 })).toEqual([3]);
+  });
+});
@@ -0,0 +1,97 @@
+import { displayForBounds, overlapArea } from './Geometry.js'
+import type { Display, RunningApplication, Window } from './RecordKit.js'
+import type { Size } from './Recorder.js'
+import { WINDOW_LEVELS, WindowLevelName } from './WindowLevels.js'
+
+/**
+ * Which windows `recordkit.findWindows()` returns, all given conditions must match.
+ *
+ * @group Discovery
+ */
+export interface WindowQuery {
+  /** Name of the owning application, matched exactly or by a regular expression. */
+  applicationName?: string | RegExp
+  /** Process ID of the owning application, or one of several. */
+  processId?: number | number[]
+  /** Bundle identifier of the owning application, or one of several, e.g. `com.apple.Safari`. */
+  bundleIdentifier?: string | string[]
+  /** Title of the window, containing the string ignoring case or matching a regular expression. Windows without a title never match. */
+  titleMatches?: string | RegExp
+  /** Minimum width and height of the window in points, e.g. to skip tiny helper windows. */
+  minSize?: Size
+  /**
+   * Levels of the windows to include, by name or number, see {@link WINDOW_LEVELS}.
+   *
+   * Defaults to all levels from `normal` up to, but not including, `mainMenu`, which drops the
+   * desktop, the menu bar, status items, pop-up menus, overlays and the cursor.
+   */
+  levels?: (WindowLevelName | number)[]
+  /** Leave out windows of the current process, such as your own app's windows. Defaults to `false`. */
+  excludeCurrentProcess?: boolean
+  /** Only windows that are at least partially on this display. */
+  onDisplay?: Display | number
+}
+
+/**
+ * A {@link Window} with the application that owns it and the display it is on.
+ *
+ * @group Discovery
+ */
+export interface WindowDetails extends Window {
+  /** The running application that owns the window, if it could be found. */
+  application?: RunningApplication
+  /** The display showing the largest part of the window, if it's on any. */
+  display?: Display
+}
+
+function matches(value: string | undefined, pattern: string | RegExp, substring: boolean): boolean {
+  if (value === undefined) {
+    return false
+  }
+  if (pattern instanceof RegExp) {
+    return pattern.test(value)
+  }
+  return substring ? value.toLowerCase().includes(pattern.toLowerCase()) : value === pattern
+}
+
+function oneOf<T>(value: T | undefined, allowed: T | T[]): boolean {
+  return value !== undefined && (Array.isArray(allowed) ? allowed.includes(value) : value === allowed)
+}
+
+/**
+ * Filters the windows by the query and adds their application and display, sorted front to back.
+ *
+ * Windows are sorted by level with the highest level first. Windows at the same level keep the order
+ * of `windows`, which RecordKit lists front to back.
+ */
+export function findWindows(
+  windows: Window[],
+  applications: RunningApplication[],
+  displays: Display[],
+  query: WindowQuery,
+  currentProcessId: number
+): WindowDetails[] {
+  const applicationsById = new Map(applications.map((application) => [application.id, application]))
+  const levels = query.levels?.map((level) => typeof level === 'number' ? level : WINDOW_LEVELS[level])
+  const displayId = typeof query.onDisplay === 'object' ? query.onDisplay.id : query.onDisplay
+
+  const found = windows.flatMap((window): WindowDetails[] => {
+    const application = window.application_process_id === undefined ? undefined : applicationsById.get(window.application_process_id)
+    const display = displayForBounds(window.frame, displays)
+
+    const included =
+      (levels === undefined ? window.level >= WINDOW_LEVELS.normal && window.level < WINDOW_LEVELS.mainMenu : levels.includes(window.level)) &&
+      (query.applicationName === undefined || matches(window.application_name ?? application?.name, query.applicationName, false)) &&
+      (query.processId === undefined || oneOf(window.application_process_id, query.processId)) &&
+      (query.bundleIdentifier === undefined || oneOf(application?.bundle_identifier, query.bundleIdentifier)) &&
+      (query.titleMatches === undefined || matches(window.title, query.titleMatches, true)) &&
+      (query.minSize === undefined || (window.frame.width >= query.minSize.width && window.frame.height >= query.minSize.height)) &&
+      (!query.excludeCurrentProcess || window.application_process_id !== currentProcessId) &&
+      (displayId === undefined || displays.some((display) => display.id === displayId && overlapArea(window.frame, display.frame) > 0))
+
+    return included ? [{ ...window, application, display }] : []
+  })
+
+  // Array.prototype.sort is stable, so windows at the same level stay front to back.
+  return found.sort((a, b) => b.level - a.level)
+}
@@ -0,0 +1,41 @@
+import { WindowWatcher } from './WindowWatcher.js';
+import type { Display, Window } from './RecordKit.js';
+
+describe('WindowWatcher', () => {
+  const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+  const displays: Display[] = [
+    { id: 1, symbolName: 'laptopcomputer', frame: { x: 0, y: 0, width: 1000, height: 800 }, isMain: true, availability: 'available' },
+    { id: 2, symbolName: 'display', frame: { x: 1000, y: 0, width: 1000, height: 800 }, isMain: false, availability: 'available' },
+  ];
+  const initial: Window = { id: 7, title: 'Draft', frame: { x: 10, y: 10, width: 400, height: 300 }, level: 0 };
+
+  function watch(windows: () => Window[]) {
+    const events: [string, any][] = [];
+    const watcher = new WindowWatcher(initial, displays[0], { getWindows: async () => windows(), getDisplays: async () => displays }, 5);
+    for (const event of ['moved', 'resized', 'titleChanged', 'displayChanged', 'closed'] as const) {
+      watcher.on(event as 'closed', (info) => { events.push([event, info]); });
+    }
+    return { watcher, events };
+  }
+
+  it('emits moves, resizes, title and display changes with the previous values', async () => {
+    let window = initial;
+    const { watcher, events } = watch(() => [window]);
+    window = { ...initial, title: 'Final', frame: { x: 1100, y: 10, width: 500, height: 300 } };
+    await wait(30);
+    watcher.stop();
+
+    expect(events.map(([event]) => event)).toEqual(['moved', 'resized', 'titleChanged', 'displayChanged']);
+    expect(events[0][1]).toEqual({ window, previous: initial.frame });
+    expect(events[2][1]).toEqual({ window, previous: 'Draft' });
+    expect(events[3][1]).toEqual({ window, display: displays[1], previous: displays[0] });
+    expect(watcher.window).toBe(window);
+  });
+
+  it('emits closed once and stops when the window is gone', async () => {
+    const { watcher, events } = watch(() => []);
+    await wait(30);
+    expect(events).toEqual([['closed', { window: initial }]]);
+    expect(watcher.isStopped).toBe(true);
+  });
+});
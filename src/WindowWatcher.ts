@@ -0,0 +1,142 @@
+import { EventEmitter } from 'events'
+import { displayForBounds } from './Geometry.js'
+import { log } from './Logger.js'
+import type { Bounds, Display, Window } from './RecordKit.js'
+
+function sameFrame(a: Bounds, b: Bounds): boolean {
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height
+}
+
+/**
+ * Follows the position, size, title and display of one window, as returned by `recordkit.watchWindow()`.
+ *
+ * The window is checked periodically, every change is emitted as an event with the latest window and
+ * its previous value. Once the window is gone `closed` is emitted and watching stops.
+ *
+ * @example
+ * ```ts
+ * const watcher = await recordkit.watchWindow(window, { interval: 100 })
+ * watcher.on('moved', ({ window }) => overlay.setBounds(window.frame))
+ * watcher.on('resized', ({ window }) => overlay.setBounds(window.frame))
+ * watcher.on('closed', () => overlay.hide())
+ * // Once the recording starts
+ * watcher.stop()
+ * ```
+ *
+ * @group Discovery
+ */
+export class WindowWatcher extends EventEmitter {
+  private timer?: ReturnType<typeof setTimeout>
+  private stopped = false
+
+  /** @ignore */
+  constructor(
+    /** The window as last seen. */
+    public window: Window,
+    /** The display showing the largest part of the window as last seen, if it's on any. */
+    public display: Display | undefined,
+    private readonly queries: { getWindows(): Promise<Window[]>, getDisplays(): Promise<Display[]> },
+    private readonly interval: number
+  ) {
+    super()
+    this.schedule()
+  }
+
+  /** Whether the watcher stopped, because {@link stop} was called or the window closed. */
+  get isStopped(): boolean {
+    return this.stopped
+  }
+
+  /** Stops watching, no more events are emitted. */
+  stop(): void {
+    this.stopped = true
+    clearTimeout(this.timer)
+  }
+
+  private schedule() {
+    if (this.stopped) {
+      return
+    }
+    this.timer = setTimeout(() => { this.check() }, this.interval)
+    // Don't keep the app running just to watch a window.
+    this.timer.unref?.()
+  }
+
+  private async check() {
+    try {
+      const [windows, displays] = await Promise.all([this.queries.getWindows(), this.queries.getDisplays()])
+      if (this.stopped) { return }
+
+      const window = windows.find((window) => window.id === this.window.id)
+      if (window === undefined) {
+        this.stop()
+        this.emit('closed', { window: this.window })
+        return
+      }
+      this.update(window, displayForBounds(window.frame, displays))
+    } catch (error) {
+      if (this.stopped) { return }
+      log.warn('RecordKit', `Failed to check window ${this.window.id}.`, error)
+    }
+    this.schedule()
+  }
+
+  private update(window: Window, display: Display | undefined) {
+    const previous = this.window
+    const previousDisplay = this.display
+    this.window = window
+    this.display = display
+
+    if (window.frame.x !== previous.frame.x || window.frame.y !== previous.frame.y) {
+      this.emit('moved', { window, previous: previous.frame })
+    }
+    if (window.frame.width !== previous.frame.width || window.frame.height !== previous.frame.height) {
+      this.emit('resized', { window, previous: previous.frame })
+    }
+    if (window.title !== previous.title) {
+      this.emit('titleChanged', { window, previous: previous.title })
+    }
+    if (display?.id !== previousDisplay?.id || (display && previousDisplay && !sameFrame(display.frame, previousDisplay.frame))) {
+      this.emit('displayChanged', { window, display, previous: previousDisplay })
+    }
+  }
+}
+
+/**
+ * Typed event overloads for {@link WindowWatcher}.
+ *
+ * @group Discovery
+ */
+export interface WindowWatcher {
+  /** Fires when the window's origin changed, `previous` is its previous frame. */
+  on(event: 'moved', listener: (info: { window: Window, previous: Bounds }) => void): this;
+  /** Fires when the window's size changed, `previous` is its previous frame. */
+  on(event: 'resized', listener: (info: { window: Window, previous: Bounds }) => void): this;
+  /** Fires when the window's title changed. */
+  on(event: 'titleChanged', listener: (info: { window: Window, previous?: string }) => void): this;
+  /**
+   * Fires when the window moved to another display, off all displays, or the display it's on
+   * changed its frame, for example because its resolution or arrangement changed.
+   */
+  on(event: 'displayChanged', listener: (info: { window: Window, display?: Display, previous?: Display }) => void): this;
+  /** Fires once when the window is gone, with the window as last seen. Watching stops. */
+  on(event: 'closed', listener: (info: { window: Window }) => void): this;
+
+  /** @see {@link WindowWatcher.on} */
+  once(event: 'moved' | 'resized', listener: (info: { window: Window, previous: Bounds }) => void): this;
+  /** @see {@link WindowWatcher.on} */
+  once(event: 'titleChanged', listener: (info: { window: Window, previous?: string }) => void): this;
+  /** @see {@link WindowWatcher.on} */
+  once(event: 'displayChanged', listener: (info: { window: Window, display?: Display, previous?: Display }) => void): this;
+  /** @see {@link WindowWatcher.on} */
+  once(event: 'closed', listener: (info: { window: Window }) => void): this;
+
+  /** @see {@link WindowWatcher.on} */
+  off(event: 'moved' | 'resized', listener: (info: { window: Window, previous: Bounds }) => void): this;
+  /** @see {@link WindowWatcher.on} */
+  off(event: 'titleChanged', listener: (info: { window: Window, previous?: string }) => void): this;
+  /** @see {@link WindowWatcher.on} */
+  off(event: 'displayChanged', listener: (info: { window: Window, display?: Display, previous?: Display }) => void): this;
+  /** @see {@link WindowWatcher.on} */
+  off(event: 'closed', listener: (info: { window: Window }) => void): this;
+}
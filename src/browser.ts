@@ -13,5 +13,9 @@ export type * from './InputEvents.js';
 export type * from './RecordingMetadata.js';
 export type * from './Errors.js';
 export type * from './WindowLevels.js';
-export { RECORDKIT_ERROR_CODE_NUMBERS } from './Errors.js';
+export type { Point } from './Geometry.js';
+export type { CameraFormatPolicy } from './CameraFormats.js';
+export { RECORDKIT_ERROR_CODE_NUMBERS, NSError, RecordKitError, RPCConnectionLostError, RPCError, RPCProtocolError, RPCProtocolVersionError, RPCTimeoutError, isDeviceUnavailableError, isNSError, isPermissionError, isRecordKitError, isRPCError } from './Errors.js';
 export { WINDOW_LEVELS } from './WindowLevels.js';
+export { boundsToDisplayLocal, clampCropToDisplay, containsPoint, denormalize, displayAtPoint, displayForBounds, intersection, normalize, overlapArea, toDisplayLocal, toGlobal, union } from './Geometry.js';
+export { selectCameraFormat } from './CameraFormats.js';
@@ -4,8 +4,29 @@ export type * from './InputEvents.js';
 export type * from './RecordingMetadata.js';
 export type * from './Errors.js';
 export type * from './WindowLevels.js';
+export type { Point } from './Geometry.js';
+export type { CameraFormatPolicy } from './CameraFormats.js';
 export type * from './WebAudioUtils.js';
+export type { ExposedMethod, ExposedType, LiveObjectOwner, LiveObjects, RequestOptions } from './NonstrictRPC.js';
+export type { HistogramSnapshot, MetricsSnapshot, RPCSpan, RPCTracer } from './Metrics.js';
+export type { LogEntry, LogFunction, LogSource, StructuredLogger } from './Logger.js';
+export type { LogFileOptions } from './LogFile.js';
+export type { LogQuery } from './LogBuffer.js';
+export type { WindowDetails, WindowQuery } from './WindowQuery.js';
+export type { WindowWatcher } from './WindowWatcher.js';
+export type { IconCache } from './IconCache.js';
+export type { DeviceChange, DeviceKind, DevicesByKind, DevicesChangedEvent, DeviceWatchOptions } from './DeviceWatcher.js';
+export type { EnsurePermissionsResult, PermissionName, Permissions, PermissionsChangedEvent, PermissionStatus } from './Permissions.js';
+export type { PreflightResult, UnavailableDevice } from './Preflight.js';
+export type { ResolvedDevice, ResolvedPreferredDevices } from './PreferredDevices.js';
+export type { DiagnosticsBundle, DiagnosticsResult } from './Diagnostics.js';
+export type * from './Transcript.js';
+export type * from './Transport.js';
 export { recordkit } from './RecordKit.js';
-export { RECORDKIT_ERROR_CODE_NUMBERS } from './Errors.js';
+export { RECORDKIT_ERROR_CODE_NUMBERS, NSError, RecordKitError, RPCConnectionLostError, RPCError, RPCProtocolError, RPCProtocolVersionError, RPCTimeoutError, isDeviceUnavailableError, isNSError, isPermissionError, isRecordKitError, isRPCError } from './Errors.js';
 export { WINDOW_LEVELS } from './WindowLevels.js';
+export { boundsToDisplayLocal, clampCropToDisplay, containsPoint, denormalize, displayAtPoint, displayForBounds, intersection, normalize, overlapArea, toDisplayLocal, toGlobal, union } from './Geometry.js';
+export { selectCameraFormat } from './CameraFormats.js';
+export { RecordingTransport, ReplayTransport } from './Transcript.js';
+export { InMemoryTransport, SocketTransport, StdioTransport, WebSocketTransport } from './Transport.js';
 export { computeAudioLevel, createWebAudioBuffer } from './WebAudioUtils.js';
@@ -0,0 +1,2 @@
+/** Version of this package, set by `build.sh` when building a release. */
+export const VERSION = '0.92.1'